@@ -85,7 +85,17 @@ end
 
 function M.is_running() return M._job_id ~= nil and M._started end
 
-function M.request(method, params, callback)
+M.DEFAULT_TIMEOUT = 30000
+
+--- Request opts for uploads and downloads: wait for the response however long the transfer takes.
+--- They report progress as uploadProgress/downloadProgress events, and the bridge fails a transfer
+--- that stalls, so a fixed deadline would only cut off large files on slow connections.
+M.NO_TIMEOUT = { timeout = 0 }
+
+--- Send a request to the bridge; callback(err, result) runs on the response or on timeout.
+---@param opts table|nil timeout: ms before failing with TIMEOUT (default DEFAULT_TIMEOUT). With opts
+--- given, a nil or 0 timeout means none (see NO_TIMEOUT).
+function M.request(method, params, callback, opts)
   if not M._job_id then
     if callback then callback({ code = 'NOT_STARTED', message = 'Bridge not started' }, nil) end
     return
@@ -100,14 +110,18 @@ function M.request(method, params, callback)
     params = params or {},
   })
 
-  -- Set timeout (30s)
-  local timer = vim.fn.timer_start(30000, function()
-    local pending = M._pending[id]
-    M._pending[id] = nil
-    if pending and pending.callback then
-      vim.schedule(function() pending.callback({ code = 'TIMEOUT', message = method .. ' timed out' }, nil) end)
-    end
-  end)
+  local timeout = M.DEFAULT_TIMEOUT
+  if opts then timeout = opts.timeout end
+  local timer = nil
+  if timeout and timeout > 0 then
+    timer = vim.fn.timer_start(timeout, function()
+      local pending = M._pending[id]
+      M._pending[id] = nil
+      if pending and pending.callback then
+        vim.schedule(function() pending.callback({ code = 'TIMEOUT', message = method .. ' timed out' }, nil) end)
+      end
+    end)
+  end
 
   M._pending[id] = { callback = callback, timer = timer }
 
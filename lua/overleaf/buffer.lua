@@ -40,6 +40,12 @@ function M.create(doc, lines)
     end,
   })
 
+  -- Show collaborators where we are
+  vim.api.nvim_create_autocmd({ 'CursorMoved', 'CursorMovedI' }, {
+    buffer = bufnr,
+    callback = function() require('overleaf.cursors').send_position(doc.doc_id) end,
+  })
+
   -- Attach change detection
   M.attach(bufnr, doc)
 
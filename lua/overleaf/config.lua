@@ -7,8 +7,14 @@ M._config = {
   base_url = 'https://www.overleaf.com', -- Overleaf instance URL (for self-hosted)
   pdf_viewer = nil, -- PDF viewer command (nil = auto-detect: 'open' on macOS, 'xdg-open' on Linux)
   pdf_dir = nil, -- PDF output directory (nil = system temp dir)
+  output_dir = nil, -- Compile outputs (.aux, .bbl, ...) directory, one subdirectory per project (nil = temp dir)
   sync_dir = nil, -- Local file sync directory (nil = disabled; enables external tool integration)
   log_level = 'info', -- 'debug', 'info', 'warn', 'error'
+  compile = { -- Default compile options (overridable per compile)
+    draft = false, -- Skip images and other heavy content for a faster compile
+    stop_on_first_error = false,
+    check = 'silent', -- chktex mode: 'silent', 'error' or 'validate'
+  },
 }
 
 function M.setup(opts)
@@ -66,6 +66,61 @@ function M.on_client_updated(data)
   M._render_cursor(user_id, collab)
 end
 
+--- Show collaborators already in the project (clientTracking.getConnectedUsers)
+function M.load_connected_users()
+  require('overleaf.bridge').request('getConnectedUsers', {}, function(err, result)
+    if err or not result then return end
+    vim.schedule(function()
+      for _, user in ipairs(result.users or {}) do
+        local cursor = user.cursorData
+        if cursor and cursor.doc_id then
+          local name = vim.trim((user.first_name or '') .. ' ' .. (user.last_name or ''))
+          M.on_client_updated({
+            id = user.client_id,
+            name = name ~= '' and name or nil,
+            email = user.email,
+            doc_id = cursor.doc_id,
+            row = cursor.row,
+            column = cursor.column,
+          })
+        end
+      end
+    end)
+  end)
+end
+
+local POSITION_DELAY = 150 -- ms of cursor stillness before sharing the position
+local _position_timer = nil
+local _pending = nil -- { doc_id, row, column } waiting for the timer
+local _last_sent = nil -- the last position sent to the bridge
+
+--- Share our cursor position in a doc buffer once the cursor settles
+---@param doc_id string
+function M.send_position(doc_id)
+  if not require('overleaf')._state.connected then return end
+  _pending = {
+    doc_id = doc_id,
+    row = vim.api.nvim_win_get_cursor(0)[1] - 1,
+    column = vim.fn.charcol('.') - 1,
+  }
+  _position_timer = _position_timer or vim.uv.new_timer()
+  _position_timer:stop()
+  _position_timer:start(POSITION_DELAY, 0, function()
+    vim.schedule(function()
+      local pos = _pending
+      _pending = nil
+      if not pos or not require('overleaf')._state.connected then return end
+      if vim.deep_equal(pos, _last_sent) then return end
+      _last_sent = pos
+      require('overleaf.bridge').request(
+        'updatePosition',
+        { docId = pos.doc_id, row = pos.row, column = pos.column },
+        function() end
+      )
+    end)
+  end)
+end
+
 --- Handle clientTracking.clientDisconnected event
 function M.on_client_disconnected(data)
   if not data or not data.id then return end
@@ -138,6 +193,9 @@ function M.clear_all()
     end
   end
   M._collaborators = {}
+  if _position_timer then _position_timer:stop() end
+  _pending = nil
+  _last_sent = nil
 end
 
 return M
@@ -34,6 +34,10 @@ M._state = {
   project_id = nil,
   project_data = nil,
   csrf_token = nil,
+  root_doc_id = nil, -- main document and compiler, from joinProject and rootDocUpdated/compilerUpdated
+  compiler = nil,
+  transfer = nil, -- progress of a slow download/upload in flight (downloadProgress, uploadProgress)
+  session_expired = false,
   documents = {}, -- doc_id -> Document
 }
 
@@ -67,6 +71,12 @@ function M.connect()
       return
     end
 
+    -- Keep the stored cookie in sync with rotated session / load balancer cookies
+    bridge.off_event('cookieUpdated', M._on_cookie_updated)
+    bridge.on_event('cookieUpdated', M._on_cookie_updated)
+    bridge.off_event('sessionExpired', M._on_session_expired)
+    bridge.on_event('sessionExpired', M._on_session_expired)
+
     -- Step 2: Get cookie (from config, .env, or Chrome)
     M._get_cookie(function(cookie)
       if not cookie then return end
@@ -81,6 +91,7 @@ function M.connect()
         end
 
         config.log('info', 'Authenticated as %s (%d projects)', result.userEmail or result.userId, #result.projects)
+        M._state.session_expired = false
         M._state.csrf_token = result.csrfToken
         project.set_projects(result.projects)
 
@@ -93,42 +104,62 @@ function M.connect()
   end)
 end
 
+function M._on_cookie_updated(data)
+  if data and data.cookie then config.get().cookie = data.cookie end
+end
+
+function M._on_session_expired(data)
+  -- Reconnecting cannot succeed until the user logs in again
+  M._state.session_expired = true
+  if M._reconnect.timer then
+    vim.fn.timer_stop(M._reconnect.timer)
+    M._reconnect.timer = nil
+  end
+  M._reconnect.attempt = 0
+  config.log(
+    'error',
+    'Session expired (%s). Log in to Overleaf again and run :Overleaf connect',
+    data and data.message or 'unknown'
+  )
+end
+
 function M._get_cookie(callback)
-  -- Chrome first, then config/env as fallback
-  config.log('info', 'Checking Chrome profiles...')
-  bridge.request('listChromeProfiles', {}, function(err, result)
+  -- Browsers (Chrome, Firefox) first, then config/env as fallback
+  config.log('info', 'Checking browser profiles...')
+  bridge.request('listBrowserProfiles', {}, function(err, result)
     if err or not result or not result.profiles or #result.profiles == 0 then
-      config.log('debug', 'Chrome profiles not available: %s', err and err.message or 'none found')
+      config.log('debug', 'Browser profiles not available: %s', err and err.message or 'none found')
       M._get_cookie_fallback(callback)
       return
     end
 
     local profiles = result.profiles
 
-    local function extract_from_profile(profile_dir)
-      config.log('info', 'Extracting cookie from Chrome (%s)...', profile_dir)
-      bridge.request('getCookie', { profile = profile_dir }, function(cookie_err, cookie_result)
+    local function extract_from_profile(profile)
+      config.log('info', 'Extracting cookie from %s (%s)...', profile.browser, profile.dir)
+      local params = { browser = profile.browser, profile = profile.dir }
+      bridge.request('getCookie', params, function(cookie_err, cookie_result)
         if not cookie_err and cookie_result and cookie_result.cookie then
-          config.log('info', 'Cookie extracted from Chrome')
+          config.log('info', 'Cookie extracted from %s', profile.browser)
           config.get().cookie = cookie_result.cookie
           callback(cookie_result.cookie)
           return
         end
-        config.log('debug', 'Chrome extraction failed: %s', cookie_err and cookie_err.message or 'unknown')
+        config.log('debug', '%s extraction failed: %s', profile.browser, cookie_err and cookie_err.message or 'unknown')
         M._get_cookie_fallback(callback)
       end)
     end
 
     if #profiles == 1 then
-      extract_from_profile(profiles[1].dir)
+      extract_from_profile(profiles[1])
     else
       vim.schedule(function()
         vim.ui.select(profiles, {
-          prompt = 'Select Chrome Profile:',
-          format_item = function(item) return item.name .. ' (' .. item.dir .. ')' end,
+          prompt = 'Select Browser Profile:',
+          format_item = function(item) return item.name .. ' (' .. item.browser .. ': ' .. item.dir .. ')' end,
         }, function(choice)
           if choice then
-            extract_from_profile(choice.dir)
+            extract_from_profile(choice)
           else
             M._get_cookie_fallback(callback)
           end
@@ -144,7 +175,7 @@ function M._get_cookie_fallback(callback)
     callback(cookie)
     return
   end
-  config.log('error', 'No cookie found. Log in to overleaf.com in Chrome, or set OVERLEAF_COOKIE in .env')
+  config.log('error', 'No cookie found. Log in to overleaf.com in Chrome or Firefox, or set OVERLEAF_COOKIE in .env')
   callback(nil)
 end
 
@@ -175,6 +206,7 @@ function M._connect_project(cookie, project_id, project_name)
     M._state.project_id = project_id
     M._state.project_name = project_name
     M._state.project_data = result.project
+    M._set_project_settings(result.project)
 
     -- Parse project tree
     project.parse_project_tree(result.project)
@@ -184,6 +216,9 @@ function M._connect_project(cookie, project_id, project_name)
     -- Load comment threads
     require('overleaf.comments').load_threads(project_id)
 
+    -- Show collaborators who are already editing
+    require('overleaf.cursors').load_connected_users()
+
     -- Start file sync (if sync_dir configured)
     sync.start(project_name)
     sync.sync_all(M._state, project._project_tree)
@@ -227,75 +262,9 @@ function M._setup_event_handlers()
   bridge.on_event('reciveNewDoc', function(data)
     if not data or not data.doc then return end
     local doc_info = data.doc
-    local meta = data.meta or {}
     local new_id = doc_info._id or doc_info.id
 
-    -- File-restore: remap old doc to new ID and rejoin
-    if meta.kind == 'file-restore' then
-      local old_id = M._pending_restore and M._pending_restore[meta.path or '']
-      if old_id then
-        M._pending_restore[meta.path] = nil
-        config.log('info', 'File restore: remapping %s -> %s (%s)', old_id, new_id, meta.path or '?')
-
-        -- Update tree entry ID
-        project.update_entry_id(old_id, new_id)
-
-        -- Remap open document to new ID
-        local old_doc = M._state.documents[old_id]
-        if old_doc then
-          M._state.documents[old_id] = nil
-          M._state.documents[new_id] = old_doc
-          old_doc.doc_id = new_id
-          old_doc.joined = false
-          old_doc.inflight_op = nil
-          old_doc.pending_ops = nil
-          if old_doc._flush_timer then
-            vim.fn.timer_stop(old_doc._flush_timer)
-            old_doc._flush_timer = nil
-          end
-
-          -- Immediately join the new doc (server already has it ready)
-          bridge.request('joinDoc', { docId = new_id }, function(err, result)
-            if err then
-              config.log('error', 'Failed to join restored doc %s: %s', meta.path or '?', err.message)
-              return
-            end
-
-            local content = table.concat(result.lines, '\n')
-            old_doc.version = result.version
-            old_doc.content = content
-            old_doc.server_content = content
-            old_doc.joined = true
-            old_doc._rejoining = false
-            old_doc.ranges = result.ranges
-
-            config.log('info', 'Restored doc %s (v%d)', meta.path or '?', result.version)
-
-            -- Update buffer with new content
-            if old_doc.bufnr and vim.api.nvim_buf_is_valid(old_doc.bufnr) then
-              vim.schedule(function()
-                old_doc.applying_remote = true
-                vim.api.nvim_buf_set_lines(old_doc.bufnr, 0, -1, false, result.lines)
-                vim.bo[old_doc.bufnr].modified = false
-                old_doc.applying_remote = false
-
-                -- Re-render comments if available
-                if result.ranges then
-                  local comments = require('overleaf.comments')
-                  comments.parse_ranges(new_id, result.ranges)
-                  comments.render(old_doc.bufnr, new_id, old_doc.content)
-                end
-              end)
-            end
-          end)
-        end
-      end
-
-      vim.schedule(function() require('overleaf.tree').refresh() end)
-      return
-    end
-
-    -- Normal new doc (not restore)
+    -- New doc (a restored doc that replaced one keeps its entry; docRestored remaps it)
     local parent_path = project.get_folder_path(data.parentFolderId)
     local path = parent_path .. (doc_info.name or '')
     if not project.path_exists(path) then
@@ -319,6 +288,66 @@ function M._setup_event_handlers()
     vim.schedule(function() require('overleaf.tree').refresh() end)
   end)
 
+  -- File-restore: remap the old doc to its new ID and rejoin
+  bridge.on_event('docRestored', function(data)
+    if not data or not data.oldDocId or not data.newDocId then return end
+    local old_id, new_id, path = data.oldDocId, data.newDocId, data.path or '?'
+    config.log('info', 'File restore: remapping %s -> %s (%s)', old_id, new_id, path)
+
+    -- Update tree entry ID
+    project.update_entry_id(old_id, new_id)
+    vim.schedule(function() require('overleaf.tree').refresh() end)
+
+    -- Remap open document to new ID
+    local old_doc = M._state.documents[old_id]
+    if not old_doc then return end
+    M._state.documents[old_id] = nil
+    M._state.documents[new_id] = old_doc
+    old_doc.doc_id = new_id
+    old_doc.joined = false
+    old_doc.inflight_op = nil
+    old_doc.pending_ops = nil
+    if old_doc._flush_timer then
+      vim.fn.timer_stop(old_doc._flush_timer)
+      old_doc._flush_timer = nil
+    end
+
+    -- Immediately join the new doc (server already has it ready)
+    bridge.request('joinDoc', { docId = new_id }, function(err, result)
+      if err then
+        config.log('error', 'Failed to join restored doc %s: %s', path, err.message)
+        return
+      end
+
+      local content = table.concat(result.lines, '\n')
+      old_doc.version = result.version
+      old_doc.content = content
+      old_doc.server_content = content
+      old_doc.joined = true
+      old_doc._rejoining = false
+      old_doc.ranges = result.ranges
+
+      config.log('info', 'Restored doc %s (v%d)', path, result.version)
+
+      -- Update buffer with new content
+      if old_doc.bufnr and vim.api.nvim_buf_is_valid(old_doc.bufnr) then
+        vim.schedule(function()
+          old_doc.applying_remote = true
+          vim.api.nvim_buf_set_lines(old_doc.bufnr, 0, -1, false, result.lines)
+          vim.bo[old_doc.bufnr].modified = false
+          old_doc.applying_remote = false
+
+          -- Re-render comments if available
+          if result.ranges then
+            local comments = require('overleaf.comments')
+            comments.parse_ranges(new_id, result.ranges)
+            comments.render(old_doc.bufnr, new_id, old_doc.content)
+          end
+        end)
+      end
+    end)
+  end)
+
   bridge.on_event('reciveNewFile', function(data)
     if not data or not data.file then return end
     local file = data.file
@@ -345,15 +374,87 @@ function M._setup_event_handlers()
     vim.schedule(function() require('overleaf.tree').refresh() end)
   end)
 
+  bridge.on_event('reciveNewFolder', function(data)
+    if not data or not data.folder then return end
+    local folder = data.folder
+    local path = project.get_folder_path(data.parentFolderId) .. (folder.name or '') .. '/'
+    if not project.path_exists(path) then
+      local depth = 0
+      if data.parentFolderId then
+        for _, e in ipairs(project._project_tree) do
+          if e.id == data.parentFolderId then
+            depth = (e.depth or 0) + 1
+            break
+          end
+        end
+      end
+      project.add_entry({
+        id = folder._id or folder.id,
+        name = folder.name,
+        path = path,
+        type = 'folder',
+        depth = depth,
+      })
+    end
+    vim.schedule(function() require('overleaf.tree').refresh() end)
+  end)
+
+  bridge.on_event('reciveEntityRename', function(data)
+    if not data or not data.entityId or not data.name then return end
+    vim.schedule(function()
+      if project.rename_entry(data.entityId, data.name) then
+        M._sync_buffer_paths()
+        require('overleaf.tree').refresh()
+      end
+    end)
+  end)
+
+  bridge.on_event('reciveEntityMove', function(data)
+    if not data or not data.entityId then return end
+    vim.schedule(function()
+      if project.move_entry(data.entityId, data.folderId) then
+        M._sync_buffer_paths()
+        require('overleaf.tree').refresh()
+      end
+    end)
+  end)
+
+  bridge.on_event('rootDocUpdated', function(data)
+    if not data or not data.docId then return end
+    M._state.root_doc_id = data.docId
+  end)
+
+  bridge.on_event('compilerUpdated', function(data)
+    if not data or not data.compiler then return end
+    M._state.compiler = data.compiler
+  end)
+
+  bridge.on_event('projectNameUpdated', function(data)
+    if not data or not data.name then return end
+    M._state.project_name = data.name
+    config.log('info', 'Project renamed to: %s', data.name)
+  end)
+
+  -- Slow downloads (PDF, project archive) and uploads: progress shown in the statusline
+  bridge.on_event('downloadProgress', function(data)
+    if not data then return end
+    M._state.transfer = not data.done and { arrow = '↓', bytes = data.received, total = data.total } or nil
+    vim.cmd('redrawstatus')
+  end)
+
+  bridge.on_event('uploadProgress', function(data)
+    if not data then return end
+    M._state.transfer = not data.done and { arrow = '↑', bytes = data.sent, total = data.total } or nil
+    vim.cmd('redrawstatus')
+  end)
+
   bridge.on_event('removeEntity', function(data)
     if not data or not data.entityId then return end
     local meta = data.meta or {}
 
-    -- For file-restore, don't remove the entry — reciveNewDoc will remap it
+    -- For file-restore, don't remove the entry — docRestored will remap it
     if meta.kind == 'file-restore' then
       config.log('debug', 'File restore: old doc %s will be replaced', data.entityId)
-      M._pending_restore = M._pending_restore or {}
-      M._pending_restore[meta.path or ''] = data.entityId
       return
     end
 
@@ -421,6 +522,7 @@ function M._attempt_reconnect()
   if M._reconnect.in_progress then return end
   if M._state.connected then return end
   if not M._state.project_id then return end -- never connected
+  if M._state.session_expired then return end
 
   M._reconnect.attempt = M._reconnect.attempt + 1
   if M._reconnect.attempt > M._reconnect.max_attempts then
@@ -483,12 +585,14 @@ function M._reconnect_to_project(cookie)
 
     if err then
       config.log('debug', 'Reconnect failed: %s', err.message)
-      M._attempt_reconnect()
+      -- AUTH_EXPIRED: sessionExpired event already told the user to log in again
+      if err.code ~= 'AUTH_EXPIRED' then M._attempt_reconnect() end
       return
     end
 
     M._state.connected = true
     M._state.project_data = result.project
+    M._set_project_settings(result.project)
     M._reconnect.attempt = 0
 
     config.log('info', 'Reconnected to: %s', M._state.project_name or '?')
@@ -515,7 +619,10 @@ function M._rejoin_documents()
   end
 end
 
-function M.open_document(doc_id_or_path, doc_path)
+---@param doc_id_or_path string
+---@param doc_path string|nil
+---@param on_open fun(bufnr: integer)|nil called once the buffer is shown
+function M.open_document(doc_id_or_path, doc_path, on_open)
   local doc_id = doc_id_or_path
   local path = doc_path
 
@@ -536,6 +643,7 @@ function M.open_document(doc_id_or_path, doc_path)
     local existing = M._state.documents[doc_id]
     if existing.bufnr and vim.api.nvim_buf_is_valid(existing.bufnr) then
       vim.api.nvim_set_current_buf(existing.bufnr)
+      if on_open then on_open(existing.bufnr) end
       return
     end
   end
@@ -550,6 +658,7 @@ function M.open_document(doc_id_or_path, doc_path)
     end
 
     buffer.create(doc, lines)
+    if on_open then on_open(doc.bufnr) end
 
     -- Write to sync dir and start watching for external changes
     sync.write_doc(doc)
@@ -632,7 +741,7 @@ function M.preview_file()
       end
       config.log('info', 'Opening %s', result.path)
       vim.schedule(function() open_file(result.path) end)
-    end)
+    end, bridge.NO_TIMEOUT)
   end)
 end
 
@@ -789,6 +898,33 @@ function M.upload_file(file_path, parent_folder_id)
     return
   end
 
+  local function send(path, file_name, replace)
+    bridge.request('uploadFile', {
+      cookie = config.get().cookie,
+      csrfToken = M._state.csrf_token,
+      projectId = M._state.project_id,
+      filePath = path,
+      fileName = file_name,
+      parentFolderId = parent_folder_id,
+      replace = replace,
+    }, function(err, result)
+      if err and err.code == 'ENTITY_EXISTS' and not replace then
+        vim.schedule(function()
+          vim.ui.input({ prompt = 'Replace existing "' .. file_name .. '"? (y/N): ' }, function(answer)
+            if answer == 'y' or answer == 'Y' then send(path, file_name, true) end
+          end)
+        end)
+        return
+      end
+      if err then
+        config.log('error', 'Upload failed: %s', err.message)
+        return
+      end
+      config.log('info', '%s: %s', result.replaced and 'Replaced' or 'Uploaded', file_name)
+      -- Tree update happens via reciveNewFile socket event
+    end, bridge.NO_TIMEOUT)
+  end
+
   local function do_upload(path)
     if not path or path == '' then return end
 
@@ -801,28 +937,81 @@ function M.upload_file(file_path, parent_folder_id)
 
     local file_name = vim.fn.fnamemodify(path, ':t')
     config.log('info', 'Uploading %s...', file_name)
+    send(path, file_name, false)
+  end
 
-    bridge.request('uploadFile', {
+  if file_path then
+    do_upload(file_path)
+  else
+    vim.ui.input({ prompt = 'Local file path: ', completion = 'file' }, do_upload)
+  end
+end
+
+--- Upload a local directory (into a project folder of the same name), creating missing folders
+---@param dir string|nil local directory (prompted if nil)
+function M.upload_directory(dir)
+  if not M._state.connected then
+    -- Unlike single files, directories need the project's file tree to find existing folders
+    config.log('warn', 'Not connected. Directory uploads need the project file tree: run :Overleaf connect first.')
+    return
+  end
+
+  local function send(path, replace, include)
+    bridge.request('uploadDirectory', {
       cookie = config.get().cookie,
       csrfToken = M._state.csrf_token,
       projectId = M._state.project_id,
-      filePath = path,
-      fileName = file_name,
-      parentFolderId = parent_folder_id,
-    }, function(err, _result)
+      localPath = path,
+      replace = replace,
+      include = include,
+    }, function(err, result)
       if err then
-        config.log('error', 'Upload failed: %s', err.message)
+        config.log('error', 'Directory upload failed: %s', err.message)
         return
       end
-      config.log('info', 'Uploaded: %s', file_name)
-      -- Tree update happens via reciveNewFile socket event
-    end)
+      for _, file in ipairs(result.files) do
+        if file.status == 'failed' then config.log('warn', 'Upload failed: %s (%s)', file.path, file.error.message) end
+      end
+      config.log(
+        'info',
+        'Uploaded %s: %d created, %d replaced, %d skipped, %d failed',
+        vim.fn.fnamemodify(path, ':t'),
+        result.created,
+        result.replaced,
+        result.skipped,
+        result.failed
+      )
+      if result.skipped > 0 and not replace then
+        -- Upload again only the skipped files: anchored patterns, special characters in classes
+        local skipped = {}
+        for _, file in ipairs(result.files) do
+          if file.status == 'skipped' then table.insert(skipped, '/' .. file.path:gsub('[%[%*%?{]', '[%0]')) end
+        end
+        vim.schedule(function()
+          local prompt = string.format('Replace %d existing file(s)? (y/N): ', result.skipped)
+          vim.ui.input({ prompt = prompt }, function(answer)
+            if answer == 'y' or answer == 'Y' then send(path, true, skipped) end
+          end)
+        end)
+      end
+    end, bridge.NO_TIMEOUT)
   end
 
-  if file_path then
-    do_upload(file_path)
+  local function do_upload(path)
+    if not path or path == '' then return end
+    path = vim.fn.fnamemodify(vim.fn.expand(path), ':p'):gsub('/$', '')
+    if vim.fn.isdirectory(path) ~= 1 then
+      config.log('error', 'Not a directory: %s', path)
+      return
+    end
+    config.log('info', 'Uploading %s...', path)
+    send(path, false)
+  end
+
+  if dir then
+    do_upload(dir)
   else
-    vim.ui.input({ prompt = 'Local file path: ', completion = 'file' }, do_upload)
+    vim.ui.input({ prompt = 'Local directory: ', completion = 'dir' }, do_upload)
   end
 end
 
@@ -861,14 +1050,10 @@ function M.rename_entity()
         end
         vim.schedule(function()
           local updated = project.rename_entry(choice.id, new_name)
-          if updated and choice.type == 'doc' then
-            local doc = M._state.documents[choice.id]
-            if doc and doc.bufnr and vim.api.nvim_buf_is_valid(doc.bufnr) then
-              doc.path = updated.path
-              vim.api.nvim_buf_set_name(doc.bufnr, sync.buf_name(updated.path))
-            end
+          if updated then
+            M._sync_buffer_paths()
+            config.log('info', 'Renamed to: %s', updated.path)
           end
-          if updated then config.log('info', 'Renamed to: %s', updated.path) end
           require('overleaf.tree').refresh()
         end)
       end)
@@ -876,6 +1061,80 @@ function M.rename_entity()
   end)
 end
 
+--- Rename open document buffers whose path changed in the project tree
+function M._sync_buffer_paths()
+  for doc_id, doc in pairs(M._state.documents) do
+    local entry = project.get_doc_by_id(doc_id)
+    if entry and entry.path ~= doc.path then
+      doc.path = entry.path
+      if doc.bufnr and vim.api.nvim_buf_is_valid(doc.bufnr) then
+        vim.api.nvim_buf_set_name(doc.bufnr, sync.buf_name(entry.path))
+      end
+    end
+  end
+end
+
+--- Move a file/folder to another folder
+---@param entry table|nil tree entry to move (prompts if nil)
+function M.move_entity(entry)
+  if not M._state.connected then
+    config.log('warn', 'Not connected.')
+    return
+  end
+
+  local function choose_destination(choice)
+    -- Root plus every folder outside the moved entry
+    local folders = { { id = project._root_folder_id, path = '/' } }
+    for _, e in ipairs(project._project_tree) do
+      if e.type == 'folder' and e.path:sub(1, #choice.path) ~= choice.path then table.insert(folders, e) end
+    end
+
+    vim.ui.select(folders, {
+      prompt = 'Move "' .. choice.path .. '" to:',
+      format_item = function(item) return item.path end,
+    }, function(folder)
+      if not folder then return end
+
+      bridge.request('moveEntity', {
+        cookie = config.get().cookie,
+        csrfToken = M._state.csrf_token,
+        projectId = M._state.project_id,
+        entityId = choice.id,
+        entityType = choice.type,
+        folderId = folder.id,
+      }, function(err, _)
+        if err then
+          config.log('error', 'Move failed: %s', err.message)
+          return
+        end
+        vim.schedule(function()
+          local moved = project.move_entry(choice.id, folder.id)
+          if moved then
+            M._sync_buffer_paths()
+            config.log('info', 'Moved to: %s', moved.path)
+          end
+          require('overleaf.tree').refresh()
+        end)
+      end)
+    end)
+  end
+
+  if entry then
+    choose_destination(entry)
+    return
+  end
+
+  vim.ui.select(project._project_tree, {
+    prompt = 'Move:',
+    format_item = function(item)
+      local icon = item.type == 'folder' and '[dir] ' or ''
+      return icon .. item.path
+    end,
+  }, function(choice)
+    if choice then choose_destination(choice) end
+  end)
+end
+
 function M.delete_entity()
   if not M._state.connected then
     config.log('warn', 'Not connected.')
@@ -929,29 +1188,43 @@ function M.history()
   end
 
   config.log('info', 'Fetching history...')
+  bridge.request('getLabels', {
+    cookie = config.get().cookie,
+    projectId = M._state.project_id,
+  }, function(err, result)
+    -- Labels only annotate entries: show the history without them
+    if err then config.log('debug', 'Labels failed: %s', err.message) end
+    M._fetch_history({ updates = {}, labels = not err and result.labels or {} })
+  end)
+end
+
+--- Fetch the history page before `before` (nil: the newest) and show every entry loaded so far
+function M._fetch_history(history, before)
   bridge.request('getHistory', {
     cookie = config.get().cookie,
     projectId = M._state.project_id,
+    before = before,
   }, function(err, result)
     if err then
       config.log('error', 'History failed: %s', err.message)
       return
     end
 
-    local updates = result.updates or {}
-    if #updates == 0 then
+    vim.list_extend(history.updates, result.updates or {})
+    history.next_before = result.nextBeforeTimestamp ~= vim.NIL and result.nextBeforeTimestamp or nil
+    if #history.updates == 0 then
       config.log('info', 'No history entries')
       return
     end
 
-    vim.schedule(function() M._show_history(updates) end)
+    vim.schedule(function() M._show_history(history) end)
   end)
 end
 
-function M._show_history(updates)
+function M._show_history(history)
   -- Format history entries for display
   local items = {}
-  for _, update in ipairs(updates) do
+  for _, update in ipairs(history.updates) do
     local users = {}
     for _, u in ipairs(update.meta and update.meta.users or {}) do
       table.insert(users, u.first_name or u.email or '?')
@@ -960,18 +1233,25 @@ function M._show_history(updates)
     local ts = update.meta and update.meta.end_ts or 0
     local date = os.date('%Y-%m-%d %H:%M', ts / 1000)
 
+    local names = {}
+    for _, l in ipairs(history.labels) do
+      if l.version >= update.fromV and l.version <= update.toV then table.insert(names, '[' .. l.comment .. '] ') end
+    end
+
     local files = {}
     for _, p in ipairs(update.pathnames or {}) do
       table.insert(files, p)
     end
 
     table.insert(items, {
-      label = date .. ' | ' .. table.concat(users, ', '),
+      label = table.concat(names) .. date .. ' | ' .. table.concat(users, ', '),
       detail = table.concat(files, ', '),
+      pathnames = files,
       fromV = update.fromV,
       toV = update.toV,
     })
   end
+  if history.next_before then table.insert(items, { label = 'Load older entries...', detail = '', more = true }) end
 
   vim.ui.select(items, {
     prompt = 'Project History:',
@@ -981,25 +1261,224 @@ function M._show_history(updates)
     end,
   }, function(choice)
     if not choice then return end
-    config.log('info', 'Version range: v%d -> v%d', choice.fromV, choice.toV)
+    if choice.more then
+      M._fetch_history(history, history.next_before)
+      return
+    end
+
+    local function show(pathname)
+      bridge.request('getDiff', {
+        cookie = config.get().cookie,
+        projectId = M._state.project_id,
+        pathname = pathname,
+        from = choice.fromV,
+        to = choice.toV,
+      }, function(err, result)
+        if err then
+          config.log('error', 'Diff failed: %s', err.message)
+          return
+        end
+        vim.schedule(function() M._show_diff(pathname, choice.fromV, choice.toV, result) end)
+      end)
+    end
+
+    if #choice.pathnames == 0 then
+      config.log('info', 'Version range: v%d -> v%d (no file changes)', choice.fromV, choice.toV)
+    elseif #choice.pathnames == 1 then
+      show(choice.pathnames[1])
+    else
+      vim.ui.select(choice.pathnames, { prompt = 'Diff file:' }, function(pathname)
+        if pathname then show(pathname) end
+      end)
+    end
+  end)
+end
+
+--- Name the project's current version, e.g. "submitted to arXiv v1"
+function M.create_label()
+  if not M._state.connected then
+    config.log('warn', 'Not connected.')
+    return
+  end
+
+  vim.ui.input({ prompt = 'Label for the current version: ' }, function(comment)
+    if not comment or comment == '' then return end
+    local params = { cookie = config.get().cookie, projectId = M._state.project_id }
+    bridge.request('getHistory', vim.tbl_extend('force', params, { minCount = 1 }), function(err, result)
+      local latest = not err and result.updates[1]
+      if not latest then
+        config.log('error', 'No version to label: %s', err and err.message or 'history is empty')
+        return
+      end
+      bridge.request('createLabel', vim.tbl_extend('force', params, {
+        csrfToken = M._state.csrf_token,
+        comment = comment,
+        version = latest.toV,
+      }), function(label_err)
+        if label_err then
+          config.log('error', 'Create label failed: %s', label_err.message)
+          return
+        end
+        config.log('info', 'Labelled v%d: %s', latest.toV, comment)
+      end)
+    end)
+  end)
+end
+
+--- Pick a label to delete
+function M.list_labels()
+  if not M._state.connected then
+    config.log('warn', 'Not connected.')
+    return
+  end
+
+  local params = { cookie = config.get().cookie, csrfToken = M._state.csrf_token, projectId = M._state.project_id }
+  bridge.request('getLabels', params, function(err, result)
+    if err then
+      config.log('error', 'Labels failed: %s', err.message)
+      return
+    end
+    if #result.labels == 0 then
+      config.log('info', 'No labels')
+      return
+    end
+
+    vim.schedule(function()
+      vim.ui.select(result.labels, {
+        prompt = 'Labels (select to delete):',
+        format_item = function(l)
+          local author = l.user_display_name ~= vim.NIL and l.user_display_name or nil
+          local created = (l.created_at or ''):sub(1, 10) .. (author and (', ' .. author) or '')
+          return string.format('v%d  %s  (%s)', l.version, l.comment, created)
+        end,
+      }, function(label)
+        if not label then return end
+        vim.ui.input({ prompt = 'Delete label "' .. label.comment .. '"? (y/N): ' }, function(answer)
+          if answer ~= 'y' and answer ~= 'Y' then return end
+          bridge.request('deleteLabel', vim.tbl_extend('force', params, { labelId = label.id }), function(del_err)
+            if del_err then
+              config.log('error', 'Delete label failed: %s', del_err.message)
+              return
+            end
+            config.log('info', 'Deleted label: %s', label.comment)
+          end)
+        end)
+      end)
+    end)
+  end)
+end
+
+--- Restore a file to its content at a history version, after confirmation.
+--- Open buffers of a replaced doc follow it through the docRestored event.
+function M.restore_file(pathname, version)
+  if not M._state.connected then
+    config.log('warn', 'Not connected')
+    return
+  end
+  vim.ui.input({ prompt = string.format('Restore %s to v%d? (y/N): ', pathname, version) }, function(answer)
+    if answer ~= 'y' and answer ~= 'Y' then return end
+    bridge.request('restoreFile', {
+      cookie = config.get().cookie,
+      csrfToken = M._state.csrf_token,
+      projectId = M._state.project_id,
+      pathname = pathname,
+      version = version,
+    }, function(err)
+      if err then
+        config.log('error', 'Restore failed: %s', err.message)
+        return
+      end
+      config.log('info', 'Restored %s to v%d', pathname, version)
+    end)
   end)
 end
 
-function M.compile()
+--- Show a getDiff result in a scratch buffer: the text with insertions (DiffAdd)
+--- and deletions (DiffDelete) highlighted and their authors at the end of the line
+function M._show_diff(pathname, from_v, to_v, result)
+  if result.binary then
+    config.log('info', '%s is a binary file (v%d -> v%d)', pathname, from_v, to_v)
+    return
+  end
+
+  local lines = { '' }
+  local marks = {} -- { start_row, start_col, end_row, end_col, segment }
+  for _, segment in ipairs(result.segments) do
+    local start_row, start_col = #lines - 1, #lines[#lines]
+    local parts = vim.split(segment.text, '\n', { plain = true })
+    lines[#lines] = lines[#lines] .. parts[1]
+    for i = 2, #parts do
+      table.insert(lines, parts[i])
+    end
+    if segment.type ~= 'unchanged' then
+      table.insert(marks, { start_row, start_col, #lines - 1, #lines[#lines], segment })
+    end
+  end
+
+  vim.cmd('botright new')
+  local bufnr = vim.api.nvim_get_current_buf()
+  vim.bo[bufnr].buftype = 'nofile'
+  vim.bo[bufnr].bufhidden = 'wipe'
+  vim.bo[bufnr].swapfile = false
+  vim.api.nvim_buf_set_name(bufnr, string.format('overleaf-diff://%s@%d..%d', pathname, from_v, to_v))
+  vim.api.nvim_buf_set_lines(bufnr, 0, -1, false, lines)
+  vim.bo[bufnr].modifiable = false
+  if pathname:match('%.tex$') then vim.bo[bufnr].filetype = 'tex' end
+  vim.keymap.set('n', 'q', '<cmd>close<cr>', { buffer = bufnr })
+  vim.keymap.set('n', 'r', function() M.restore_file(pathname, to_v) end, {
+    buffer = bufnr,
+    desc = 'Restore this version',
+  })
+
+  local ns = vim.api.nvim_create_namespace('overleaf_diff')
+  for _, mark in ipairs(marks) do
+    local segment = mark[5]
+    local names = {}
+    for _, author in ipairs(segment.authors) do
+      -- JSON nulls (id-only users) decode to vim.NIL
+      local name = author.name ~= vim.NIL and author.name or nil
+      local email = author.email ~= vim.NIL and author.email or nil
+      table.insert(names, name or email or tostring(author.id))
+    end
+    local sign = segment.type == 'insert' and '+' or '-'
+    vim.api.nvim_buf_set_extmark(bufnr, ns, mark[1], mark[2], {
+      end_row = mark[3],
+      end_col = mark[4],
+      hl_group = segment.type == 'insert' and 'DiffAdd' or 'DiffDelete',
+      virt_text = { { ' ' .. sign .. ' ' .. (#names > 0 and table.concat(names, ', ') or '?'), 'Comment' } },
+    })
+  end
+end
+
+--- Compile the project
+---@param opts table|nil overrides for config.compile: draft, root_doc_id, compiler, stop_on_first_error, check
+function M.compile(opts)
   if not M._state.connected then
     config.log('warn', 'Not connected. Run :Overleaf connect first.')
     return
   end
 
-  config.log('info', 'Compiling...')
+  opts = vim.tbl_extend('force', config.get().compile or {}, opts or {})
+  config.log('info', opts.draft and 'Compiling (draft)...' or 'Compiling...')
 
   bridge.request('compile', {
     cookie = config.get().cookie,
     csrfToken = M._state.csrf_token,
     projectId = M._state.project_id,
+    draft = opts.draft,
+    rootDocId = opts.root_doc_id,
+    compiler = opts.compiler,
+    stopOnFirstError = opts.stop_on_first_error,
+    check = opts.check,
   }, function(err, result)
     if err then
-      config.log('error', 'Compile failed: %s', err.message)
+      if err.code == 'COMPILE_SUPERSEDED' then
+        config.log('debug', 'Compile superseded by a newer one')
+      elseif err.code == 'COMPILE_STOPPED' then
+        config.log('info', 'Compile stopped')
+      else
+        config.log('error', 'Compile failed: %s', err.message)
+      end
       return
     end
 
@@ -1011,7 +1490,300 @@ function M.compile()
       config.log('warn', 'Compile status: %s', result.status)
     end
 
-    vim.schedule(function() M._parse_compile_log(result.log or '') end)
+    vim.schedule(function() M._set_compile_diagnostics(result.diagnostics or {}) end)
+  end)
+end
+
+--- Doc ID of the Overleaf document in the current buffer
+local function current_doc_id()
+  local bufnr = vim.api.nvim_get_current_buf()
+  for id, d in pairs(M._state.documents) do
+    if d.bufnr == bufnr then return id end
+  end
+  return nil
+end
+
+--- Download the last compile's auxiliary outputs (.aux, .bbl, .blg, ...) for local tools
+---@param types string[]|nil subset of 'blg', 'bbl', 'aux', 'synctex.gz', 'fls' (nil = all)
+function M.fetch_outputs(types)
+  if not M._state.connected then
+    config.log('warn', 'Not connected.')
+    return
+  end
+
+  bridge.request('fetchCompileOutputs', {
+    cookie = config.get().cookie,
+    projectId = M._state.project_id,
+    types = types,
+    outputDir = config.get().output_dir,
+  }, function(err, result)
+    if err then
+      config.log('error', 'Fetching compile outputs failed: %s', err.message)
+      return
+    end
+    config.log('info', 'Downloaded %d output file(s) to %s', #result.files, result.outputDir)
+  end, bridge.NO_TIMEOUT)
+end
+
+--- Download the whole project as a zip archive, extracting it into `dir` if given
+---@param dir string|nil
+function M.download_zip(dir)
+  if not M._state.connected then
+    config.log('warn', 'Not connected.')
+    return
+  end
+
+  local extract_to = dir and dir ~= '' and vim.fn.fnamemodify(vim.fn.expand(dir), ':p') or nil
+  config.log('info', 'Downloading project archive...')
+  bridge.request('downloadProjectZip', {
+    cookie = config.get().cookie,
+    projectId = M._state.project_id,
+    extractTo = extract_to,
+  }, function(err, result)
+    if err then
+      config.log('error', 'Project download failed: %s', err.message)
+      return
+    end
+    if result.files then
+      config.log('info', 'Extracted %d file(s) to %s', #result.files, result.extractDir)
+    else
+      config.log('info', 'Project archive saved to %s', result.path)
+    end
+  end, bridge.NO_TIMEOUT)
+end
+
+--- SyncTeX forward search: PDF position of the cursor (needs a previous compile).
+--- Fires `User OverleafSyncPdf` with { page, h, v, width, height } so PDF viewers can be driven from it.
+function M.sync_to_pdf()
+  if not M._state.connected then
+    config.log('warn', 'Not connected.')
+    return
+  end
+
+  local doc = M._state.documents[current_doc_id() or '']
+  if not doc then
+    config.log('warn', 'Not an Overleaf document')
+    return
+  end
+
+  local cursor = vim.api.nvim_win_get_cursor(0)
+  bridge.request('syncFromCode', {
+    cookie = config.get().cookie,
+    projectId = M._state.project_id,
+    file = doc.path,
+    line = cursor[1],
+    column = cursor[2],
+  }, function(err, result)
+    if err then
+      config.log('error', 'SyncTeX failed: %s', err.message)
+      return
+    end
+    vim.schedule(function()
+      config.log('info', 'PDF page %d (%.1f, %.1f)', result.page, result.h, result.v)
+      vim.api.nvim_exec_autocmds('User', { pattern = 'OverleafSyncPdf', data = result })
+    end)
+  end)
+end
+
+--- SyncTeX inverse search: jump to the source of a PDF position
+---@param page integer
+---@param h number horizontal position in PDF points
+---@param v number vertical position in PDF points
+function M.sync_from_pdf(page, h, v)
+  if not M._state.connected then
+    config.log('warn', 'Not connected.')
+    return
+  end
+
+  bridge.request('syncFromPdf', {
+    cookie = config.get().cookie,
+    projectId = M._state.project_id,
+    page = page,
+    h = h,
+    v = v,
+  }, function(err, result)
+    if err then
+      config.log('error', 'SyncTeX failed: %s', err.message)
+      return
+    end
+    vim.schedule(function()
+      local entry = project.get_doc_by_path(result.file)
+      if not entry then
+        config.log('warn', 'Not a project document: %s', result.file)
+        return
+      end
+      M.open_document(entry.id, entry.path, function(bufnr)
+        local line = math.min(math.max(result.line, 1), vim.api.nvim_buf_line_count(bufnr))
+        vim.api.nvim_win_set_cursor(0, { line, math.max(result.column, 0) })
+      end)
+    end)
+  end)
+end
+
+--- Show the project's word count, and the current document's
+function M.word_count()
+  if not M._state.connected then
+    config.log('warn', 'Not connected.')
+    return
+  end
+
+  local doc = M._state.documents[current_doc_id() or '']
+  bridge.request('wordCount', {
+    cookie = config.get().cookie,
+    projectId = M._state.project_id,
+    files = doc and { doc.path } or nil,
+  }, function(err, result)
+    if err then
+      config.log('error', 'Word count failed: %s', err.message)
+      return
+    end
+    local function summary(c)
+      return string.format(
+        '%d words in text, %d in headers, %d outside text | math: %d inline, %d display',
+        c.textWords,
+        c.headWords,
+        c.outsideWords,
+        c.mathInline,
+        c.mathDisplay
+      )
+    end
+    config.log('info', 'Project: %s', summary(result))
+    for _, file in ipairs(result.files or {}) do
+      config.log('info', '%s: %s', file.file, summary(file))
+    end
+  end)
+end
+
+--- Set the project's main document (current buffer, or pick one)
+function M.set_root_doc()
+  if not M._state.connected then
+    config.log('warn', 'Not connected.')
+    return
+  end
+
+  local function apply(doc_id)
+    bridge.request('setRootDoc', {
+      cookie = config.get().cookie,
+      csrfToken = M._state.csrf_token,
+      projectId = M._state.project_id,
+      docId = doc_id,
+    }, function(err, _)
+      if err then
+        config.log('error', 'Set main document failed: %s', err.message)
+        return
+      end
+      local entry = project.get_doc_by_id(doc_id)
+      config.log('info', 'Main document: %s', entry and entry.path or doc_id)
+    end)
+  end
+
+  local doc_id = current_doc_id()
+  if doc_id then
+    apply(doc_id)
+  else
+    project.select_document(function(id) apply(id) end)
+  end
+end
+
+M.compilers = { 'pdflatex', 'xelatex', 'lualatex', 'latex' }
+
+--- Set the project's compiler
+---@param compiler string|nil pdflatex, xelatex, lualatex or latex (prompts if nil)
+function M.set_compiler(compiler)
+  if not M._state.connected then
+    config.log('warn', 'Not connected.')
+    return
+  end
+
+  local function apply(name)
+    bridge.request('setCompiler', {
+      cookie = config.get().cookie,
+      csrfToken = M._state.csrf_token,
+      projectId = M._state.project_id,
+      compiler = name,
+    }, function(err, _)
+      if err then
+        config.log('error', 'Set compiler failed: %s', err.message)
+        return
+      end
+      config.log('info', 'Compiler: %s', name)
+    end)
+  end
+
+  if compiler and compiler ~= '' then
+    apply(compiler)
+    return
+  end
+  vim.ui.select(M.compilers, { prompt = 'Compiler:' }, function(choice)
+    if choice then apply(choice) end
+  end)
+end
+
+--- Stop the running compile
+function M.stop_compile()
+  if not M._state.connected then
+    config.log('warn', 'Not connected.')
+    return
+  end
+
+  bridge.request('stopCompile', {
+    cookie = config.get().cookie,
+    csrfToken = M._state.csrf_token,
+    projectId = M._state.project_id,
+  }, function(err, result)
+    if err then
+      config.log('error', 'Stop compile failed: %s', err.message)
+      return
+    end
+    if not result.wasRunning then config.log('info', 'No compile running') end
+  end)
+end
+
+--- Delete cached compile files (aux, etc.) on the server so the next compile starts clean
+function M.clear_compile_cache()
+  if not M._state.connected then
+    config.log('warn', 'Not connected.')
+    return
+  end
+
+  bridge.request('clearCompileCache', {
+    cookie = config.get().cookie,
+    csrfToken = M._state.csrf_token,
+    projectId = M._state.project_id,
+  }, function(err, _)
+    if err then
+      config.log('error', 'Clear compile cache failed: %s', err.message)
+      return
+    end
+    config.log('info', 'Compile cache cleared')
+  end)
+end
+
+--- Reopen the PDF and diagnostics of the last compile without compiling again
+function M.open_last_pdf()
+  if not M._state.connected then
+    config.log('warn', 'Not connected.')
+    return
+  end
+
+  bridge.request('getLastCompile', { projectId = M._state.project_id }, function(err, result)
+    if err then
+      if err.code == 'NO_COMPILE' then
+        M.compile()
+      else
+        config.log('error', 'Failed to get last compile: %s', err.message)
+      end
+      return
+    end
+
+    vim.schedule(function()
+      M._set_compile_diagnostics(result.diagnostics or {})
+      if result.pdfPath ~= vim.NIL and result.pdfPath then
+        open_file(result.pdfPath)
+      else
+        M._open_pdf(result.outputFiles or {})
+      end
+    end)
   end)
 end
 
@@ -1036,10 +1808,12 @@ function M._open_pdf(output_files)
       return
     end
     vim.schedule(function() open_file(result.path) end)
-  end)
+  end, bridge.NO_TIMEOUT)
 end
 
-function M._parse_compile_log(log_text)
+--- Show compile diagnostics (parsed from the log by the bridge) via vim.diagnostic
+---@param entries table[] { file, line, severity, message, raw }
+function M._set_compile_diagnostics(entries)
   local ns = vim.api.nvim_create_namespace('overleaf_compile')
 
   -- Clear all previous diagnostics
@@ -1047,7 +1821,7 @@ function M._parse_compile_log(log_text)
     if doc.bufnr and vim.api.nvim_buf_is_valid(doc.bufnr) then vim.diagnostic.set(ns, doc.bufnr, {}) end
   end
 
-  if #log_text == 0 then return end
+  if #entries == 0 then return end
 
   -- Build path -> doc lookup
   local path_to_doc = {}
@@ -1060,98 +1834,27 @@ function M._parse_compile_log(log_text)
     end
   end
 
-  local diagnostics = {} -- bufnr -> list of diagnostics
-
-  -- Track current file via LaTeX log parenthesis-based file tracking
-  local file_stack = {}
-  local current_file = nil
-
-  local lines = vim.split(log_text, '\n', { plain = true })
-  local i = 1
-  while i <= #lines do
-    local line = lines[i]
-
-    -- Track file opens/closes via parentheses
-    for char in line:gmatch('[%(%)][^%(%)]*') do
-      if char:sub(1, 1) == '(' then
-        local fname = char:sub(2):match('^%s*([^%s%)]+)')
-        if fname and fname:match('%.[a-zA-Z]+$') then
-          table.insert(file_stack, current_file)
-          current_file = fname
-        end
-      elseif char:sub(1, 1) == ')' then
-        current_file = table.remove(file_stack)
-      end
-    end
+  local severities = {
+    error = vim.diagnostic.severity.ERROR,
+    warning = vim.diagnostic.severity.WARN,
+    typesetting = vim.diagnostic.severity.HINT,
+  }
 
-    -- Match LaTeX errors: lines starting with "!"
-    if line:match('^!') then
-      local msg = line:sub(3) -- strip "! "
-      local lnum = 0
-
-      -- Look ahead for "l.<number>" line number
-      for j = i + 1, math.min(i + 5, #lines) do
-        local ln = lines[j]:match('^l%.(%d+)')
-        if ln then
-          lnum = tonumber(ln) - 1 -- 0-indexed
-          break
-        end
-      end
-
-      local doc = current_file and (path_to_doc[current_file] or path_to_doc[current_file:match('[^/]+$') or ''])
-      if doc then
-        diagnostics[doc.bufnr] = diagnostics[doc.bufnr] or {}
-        table.insert(diagnostics[doc.bufnr], {
-          lnum = lnum,
-          col = 0,
-          severity = vim.diagnostic.severity.ERROR,
-          message = msg,
-          source = 'latex',
-        })
-      end
-    end
-
-    -- Match LaTeX warnings
-    local warn_msg = line:match('LaTeX Warning:%s*(.*)')
-    if warn_msg then
-      local lnum = 0
-      local ln = warn_msg:match('on input line (%d+)')
-      if ln then lnum = tonumber(ln) - 1 end
-
-      local doc = current_file and (path_to_doc[current_file] or path_to_doc[current_file:match('[^/]+$') or ''])
-      if doc then
-        diagnostics[doc.bufnr] = diagnostics[doc.bufnr] or {}
-        table.insert(diagnostics[doc.bufnr], {
-          lnum = lnum,
-          col = 0,
-          severity = vim.diagnostic.severity.WARN,
-          message = warn_msg,
-          source = 'latex',
-        })
-      end
-    end
-
-    -- Match Overfull/Underfull hbox warnings
-    local box_msg = line:match('(O[vn][edr][rf][fu][ul]l \\[hv]box.*)')
-    if box_msg then
-      local lnum = 0
-      local ln = line:match('at lines? (%d+)')
-      if ln then lnum = tonumber(ln) - 1 end
-
-      local doc = current_file and (path_to_doc[current_file] or path_to_doc[current_file:match('[^/]+$') or ''])
-      if doc then
-        diagnostics[doc.bufnr] = diagnostics[doc.bufnr] or {}
-        table.insert(diagnostics[doc.bufnr], {
-          lnum = lnum,
-          col = 0,
-          severity = vim.diagnostic.severity.HINT,
-          message = box_msg,
-          source = 'latex',
-        })
-      end
+  local diagnostics = {} -- bufnr -> list of diagnostics
+  for _, entry in ipairs(entries) do
+    local file = entry.file ~= vim.NIL and entry.file or nil
+    local doc = file and (path_to_doc[file] or path_to_doc[file:match('[^/]+$') or ''])
+    if doc then
+      local line = entry.line ~= vim.NIL and entry.line or nil
+      diagnostics[doc.bufnr] = diagnostics[doc.bufnr] or {}
+      table.insert(diagnostics[doc.bufnr], {
+        lnum = line and line - 1 or 0,
+        col = 0,
+        severity = severities[entry.severity] or vim.diagnostic.severity.INFO,
+        message = entry.message,
+        source = 'latex',
+      })
     end
-
-    i = i + 1
   end
 
   -- Set diagnostics for each buffer
@@ -1435,6 +2138,13 @@ function M.disconnect()
   config.log('info', 'Disconnected')
 end
 
+--- Remember the main document and compiler of a joined project
+function M._set_project_settings(project_data)
+  local function value(v) return v ~= vim.NIL and v or nil end
+  M._state.root_doc_id = project_data and value(project_data.rootDoc_id)
+  M._state.compiler = project_data and value(project_data.compiler)
+end
+
 function M.status()
   if not M._state.connected then
     config.log('info', 'Not connected')
@@ -1453,6 +2163,13 @@ function M.status()
     doc_count,
     M._state.connected and 'yes' or 'no'
   )
+  local root_doc = M._state.root_doc_id and project.get_doc_by_id(M._state.root_doc_id)
+  config.log(
+    'info',
+    'Main document: %s | Compiler: %s',
+    root_doc and root_doc.path or M._state.root_doc_id or '?',
+    M._state.compiler or '?'
+  )
 
   for _, doc in pairs(M._state.documents) do
     config.log('info', '  - %s (v%d)', doc.path, doc.version or 0)
@@ -1465,13 +2182,20 @@ function M.statusline()
   if not M._state.connected then return '' end
 
   local proj = M._state.project_name or '?'
+  local transfer = ''
+  local progress = M._state.transfer
+  if progress and progress.total and progress.total > 0 then
+    transfer = string.format(' %s%d%%', progress.arrow, math.floor(progress.bytes * 100 / progress.total))
+  elseif progress then
+    transfer = string.format(' %s%dK', progress.arrow, math.floor(progress.bytes / 1024))
+  end
 
   -- Show current doc name if in an overleaf buffer
   local bufname = vim.api.nvim_buf_get_name(0)
   local doc_path = sync.parse_buf_name(bufname)
-  if doc_path then return 'OL: ' .. proj .. ' / ' .. doc_path end
+  if doc_path then return 'OL: ' .. proj .. ' / ' .. doc_path .. transfer end
 
-  return 'OL: ' .. proj
+  return 'OL: ' .. proj .. transfer
 end
 
 return M
@@ -4,6 +4,7 @@ local M = {}
 
 M._projects = {}
 M._project_tree = {} -- flat list of {id, name, path}
+M._root_folder_id = nil
 
 function M.set_projects(projects) M._projects = projects or {} end
 
@@ -36,6 +37,7 @@ function M.parse_project_tree(project)
 
   local root = project.rootFolder
   if type(root) == 'table' and root[1] then root = root[1] end
+  M._root_folder_id = root._id
 
   M._walk_folder(root, '')
   return M._project_tree
@@ -161,6 +163,47 @@ function M.rename_entry(entity_id, new_name)
   return nil
 end
 
+--- Move an entry (with a folder's children) into another folder
+---@param entity_id string
+---@param folder_id string destination folder (root folder ID for the top level)
+---@return table|nil entry the moved entry
+function M.move_entry(entity_id, folder_id)
+  local entry = M.get_doc_by_id(entity_id)
+  if not entry then return nil end
+
+  local old_path = entry.path
+  local is_folder = entry.type == 'folder'
+  local moved, rest = {}, {}
+  for _, e in ipairs(M._project_tree) do
+    if e == entry or (is_folder and e.path:sub(1, #old_path) == old_path) then
+      table.insert(moved, e)
+    else
+      table.insert(rest, e)
+    end
+  end
+
+  local prefix = M.get_folder_path(folder_id)
+  local depth_delta = select(2, prefix:gsub('/', '')) - (entry.depth or 0)
+  local new_path = prefix .. entry.name .. (is_folder and '/' or '')
+  for _, e in ipairs(moved) do
+    e.path = new_path .. e.path:sub(#old_path + 1)
+    e.depth = (e.depth or 0) + depth_delta
+  end
+
+  -- Insert after the destination folder's last entry (or at the end for the root)
+  local insert_at = #rest + 1
+  if prefix ~= '' then
+    for i, e in ipairs(rest) do
+      if e.path:sub(1, #prefix) == prefix then insert_at = i + 1 end
+    end
+  end
+  for i, e in ipairs(moved) do
+    table.insert(rest, insert_at + i - 1, e)
+  end
+  M._project_tree = rest
+  return entry
+end
+
 --- Update an entry's ID (used for file-restore where the doc gets a new _id)
 function M.update_entry_id(old_id, new_id)
   for _, entry in ipairs(M._project_tree) do
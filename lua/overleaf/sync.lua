@@ -269,7 +269,7 @@ function M._download_file(entry, project_id)
     else
       config.log('debug', 'Copy failed %s: %s', entry.path, tostring(copy_err))
     end
-  end)
+  end, bridge.NO_TIMEOUT)
 end
 
 --- Sync all project documents and files to disk
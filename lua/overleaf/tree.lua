@@ -76,6 +76,7 @@ function M._ensure_buffer()
   vim.keymap.set('n', 'A', function() M._create_folder() end, { buffer = M._bufnr, desc = 'New folder' })
   vim.keymap.set('n', 'd', function() M._delete_entry() end, { buffer = M._bufnr, desc = 'Delete' })
   vim.keymap.set('n', 'r', function() M._rename_entry() end, { buffer = M._bufnr, desc = 'Rename' })
+  vim.keymap.set('n', 'm', function() M._move_entry() end, { buffer = M._bufnr, desc = 'Move' })
   vim.keymap.set('n', 'u', function() M._upload_file() end, { buffer = M._bufnr, desc = 'Upload file' })
 end
 
@@ -209,6 +210,15 @@ function M._upload_file()
   require('overleaf').upload_file(nil, parent)
 end
 
+function M._move_entry()
+  local line_idx = vim.api.nvim_win_get_cursor(0)[1]
+  local tree = project._project_tree
+  if line_idx > #tree then return end
+  local entry = tree[line_idx]
+  if not entry then return end
+  require('overleaf').move_entity(entry)
+end
+
 function M._rename_entry()
   local line_idx = vim.api.nvim_win_get_cursor(0)[1]
   local tree = project._project_tree
@@ -1,47 +1,137 @@
 'use strict';
 
+const fs = require('fs');
 const https = require('https');
 const http = require('http');
+const path = require('path');
+const stream = require('stream');
 const cheerio = require('cheerio');
+const CookieJar = require('./cookie-jar');
 
 const BASE_URL = process.env.OVERLEAF_URL || 'https://www.overleaf.com';
 
-function httpGet(url, cookie) {
+/**
+ * Send an HTTP request, taking cookies from a jar and storing any
+ * Set-Cookie from the response back into it.
+ * @param {string} method
+ * @param {string} url
+ * @param {CookieJar|string} cookie - Cookie jar, or a plain cookie string
+ * @param {object} [options]
+ * @param {object} [options.headers] - Extra request headers
+ * @param {Buffer|string|stream.Readable} [options.body] - Request body (streams need a
+ *   Content-Length in options.headers)
+ * @param {number} [options.timeout] - Socket timeout in ms (default 15000)
+ * @param {string} [options.timeoutMessage]
+ * @param {boolean} [options.allowAuthErrors] - Return login redirects, 401s and
+ *   403s instead of rejecting with AUTH_EXPIRED
+ * @param {AbortSignal} [options.signal] - Aborting rejects with ABORTED
+ */
+function request(method, url, cookie, options) {
+  options = options || {};
+  const jar = CookieJar.from(cookie);
+
   return new Promise((resolve, reject) => {
     const parsed = new URL(url);
     const httpModule = parsed.protocol === 'http:' ? http : https;
-    const options = {
+    const headers = { 'User-Agent': 'overleaf-neovim/0.1', ...options.headers };
+    const cookieHeader = jar.getCookieHeader(url);
+    if (cookieHeader) headers['Cookie'] = cookieHeader;
+    const streaming = options.body instanceof stream.Readable;
+    if (options.body !== undefined && !streaming) headers['Content-Length'] = Buffer.byteLength(options.body);
+
+    const req = httpModule.request({
       hostname: parsed.hostname,
       port: parsed.port || (parsed.protocol === 'http:' ? 80 : 443),
       path: parsed.pathname + parsed.search,
-      method: 'GET',
-      headers: {
-        'Cookie': cookie,
-        'User-Agent': 'overleaf-neovim/0.1',
-        'Accept': 'text/html,application/xhtml+xml',
-      },
-    };
-
-    const req = httpModule.request(options, (res) => {
+      method,
+      headers,
+      signal: options.signal,
+    }, (res) => {
+      jar.setCookies(res.headers['set-cookie'], url);
+
       let body = '';
+      res.setEncoding('utf-8');
       res.on('data', (chunk) => { body += chunk; });
       res.on('end', () => {
-        resolve({ status: res.statusCode, headers: res.headers, body });
+        const response = { status: res.statusCode, headers: res.headers, body };
+        const expired = { code: 'AUTH_EXPIRED', message: `Session expired or invalid (${method} ${parsed.pathname}: ${res.statusCode})` };
+        if (options.allowAuthErrors) {
+          resolve(response);
+        } else if (isAuthExpired(response)) {
+          reject(expired);
+        } else if (res.statusCode === 403) {
+          isSessionGone(jar).then((gone) => (gone ? reject(expired) : resolve(response)));
+        } else {
+          resolve(response);
+        }
       });
     });
 
-    req.on('error', reject);
-    req.setTimeout(15000, () => {
-      req.destroy(new Error('Request timeout'));
+    req.on('error', (err) => {
+      if (options.signal && options.signal.aborted) {
+        reject({ code: 'ABORTED', message: `Request aborted (${method} ${parsed.pathname})` });
+      } else {
+        reject(err);
+      }
+    });
+    req.setTimeout(options.timeout || 15000, () => {
+      req.destroy(new Error(options.timeoutMessage || 'Request timeout'));
     });
+    if (streaming) {
+      options.body.on('error', (err) => req.destroy(err));
+      options.body.pipe(req);
+      return;
+    }
+    if (options.body !== undefined) req.write(options.body);
     req.end();
   });
 }
 
+/**
+ * Whether a response means the session is no longer valid:
+ * 401, or a redirect to the login page. A 403 may only mean the user
+ * lacks access; see isSessionGone.
+ */
+function isAuthExpired(res) {
+  if (res.status === 401) return true;
+  if (res.status >= 300 && res.status < 400 && res.headers.location) {
+    try {
+      return new URL(res.headers.location, BASE_URL).pathname.startsWith('/login');
+    } catch (e) {
+      return false;
+    }
+  }
+  return false;
+}
+
+/**
+ * Whether the session behind a 403 is gone. Overleaf also answers 403 for
+ * projects the user cannot access, so ask /project, which sends only
+ * logged-out clients to the login page.
+ * @param {CookieJar|string} cookie
+ * @returns {Promise<boolean>}
+ */
+async function isSessionGone(cookie) {
+  try {
+    const res = await httpGet(BASE_URL + '/project', cookie, { allowAuthErrors: true });
+    return isAuthExpired(res);
+  } catch (e) {
+    return false;
+  }
+}
+
+function httpGet(url, cookie, options) {
+  return request('GET', url, cookie, {
+    headers: { 'Accept': 'text/html,application/xhtml+xml' },
+    ...options,
+  });
+}
+
 async function fetchProjectPage(cookie) {
-  const res = await httpGet(BASE_URL + '/project', cookie);
+  // Validating a cookie: rejection is AUTH_FAILED, not an expired session
+  const res = await httpGet(BASE_URL + '/project', cookie, { allowAuthErrors: true });
 
-  if (res.status === 302) {
+  if (isAuthExpired(res) || res.status === 302) {
     throw { code: 'AUTH_FAILED', message: 'Cookie expired or invalid (redirected to login)' };
   }
 
@@ -102,146 +192,136 @@ async function fetchProjectPage(cookie) {
 /**
  * Fetch /socket.io/socket.io.js to get GCLB (load balancer) cookie.
  * This is required for session stickiness during Socket.IO handshake.
- * Returns the updated cookie string with GCLB appended.
+ * The cookie is stored in (and replaces any earlier GCLB in) the jar.
+ * @param {CookieJar|string} cookie
+ * @returns {Promise<CookieJar>}
  */
 async function updateCookies(cookie) {
-  const res = await httpGet(BASE_URL + '/socket.io/socket.io.js', cookie);
-
-  // Extract set-cookie header
-  const setCookie = res.headers['set-cookie'];
-  if (setCookie) {
-    const cookies = Array.isArray(setCookie) ? setCookie : [setCookie];
-    for (const c of cookies) {
-      const name_value = c.split(';')[0].trim();
-      if (name_value) {
-        cookie = cookie + '; ' + name_value;
-      }
-    }
+  const jar = CookieJar.from(cookie);
+  await httpGet(BASE_URL + '/socket.io/socket.io.js', jar);
+  return jar;
+}
+
+/**
+ * Log in with email/password (self-hosted instances without SSO/captcha).
+ * Returns the logged-in session cookie plus the same payload as fetchProjectPage.
+ * @param {string} email
+ * @param {string} password
+ * @param {CookieJar} [jar] - Jar to hold the new session (default: a fresh one)
+ */
+async function login(email, password, jar) {
+  jar = jar || new CookieJar();
+
+  // The login form needs a pre-login session and its CSRF token
+  const loginPage = await httpGet(BASE_URL + '/login', jar, { allowAuthErrors: true });
+  if (loginPage.status !== 200) {
+    throw { code: 'LOGIN_FAILED', message: `Unexpected status from /login: ${loginPage.status}` };
   }
 
-  return cookie;
-}
+  const $ = cheerio.load(loginPage.body);
+  const csrfToken = $('meta[name="ol-csrfToken"]').attr('content');
+  if (!csrfToken) {
+    throw { code: 'PARSE_ERROR', message: 'Failed to extract CSRF token from /login page' };
+  }
 
-function httpPost(url, cookie, csrfToken, body) {
-  return new Promise((resolve, reject) => {
-    const parsed = new URL(url);
-    const httpModule = parsed.protocol === 'http:' ? http : https;
-    const data = JSON.stringify(body);
-    const options = {
-      hostname: parsed.hostname,
-      port: parsed.port || (parsed.protocol === 'http:' ? 80 : 443),
-      path: parsed.pathname + parsed.search,
-      method: 'POST',
-      headers: {
-        'Cookie': cookie,
-        'X-Csrf-Token': csrfToken,
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(data),
-        'User-Agent': 'overleaf-neovim/0.1',
-        'Accept': 'application/json',
-      },
-    };
-
-    const req = httpModule.request(options, (res) => {
-      let responseBody = '';
-      res.on('data', (chunk) => { responseBody += chunk; });
-      res.on('end', () => {
-        resolve({ status: res.statusCode, headers: res.headers, body: responseBody });
-      });
-    });
+  const res = await httpPost(
+    BASE_URL + '/login', jar, csrfToken,
+    { _csrf: csrfToken, email, password },
+    { allowAuthErrors: true }
+  );
+  if (res.status !== 200) {
+    let message = `Login failed with status ${res.status}`;
+    try {
+      const parsed = JSON.parse(res.body);
+      if (parsed.message && parsed.message.text) message = parsed.message.text;
+    } catch (e) { /* not JSON */ }
+    throw { code: 'LOGIN_FAILED', message };
+  }
 
-    req.on('error', reject);
-    req.setTimeout(30000, () => {
-      req.destroy(new Error('Request timeout'));
-    });
-    req.write(data);
-    req.end();
+  // The session is regenerated on successful login (already merged into the jar)
+  const page = await fetchProjectPage(jar);
+  return { cookie: jar.toString(), ...page };
+}
+
+function httpPost(url, cookie, csrfToken, body, options) {
+  return request('POST', url, cookie, {
+    headers: {
+      'X-Csrf-Token': csrfToken,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+    },
+    body: JSON.stringify(body),
+    timeout: 30000,
+    ...options,
   });
 }
 
 function httpDelete(url, cookie, csrfToken) {
-  return new Promise((resolve, reject) => {
-    const parsed = new URL(url);
-    const httpModule = parsed.protocol === 'http:' ? http : https;
-    const options = {
-      hostname: parsed.hostname,
-      port: parsed.port || (parsed.protocol === 'http:' ? 80 : 443),
-      path: parsed.pathname + parsed.search,
-      method: 'DELETE',
-      headers: {
-        'Cookie': cookie,
-        'X-Csrf-Token': csrfToken,
-        'User-Agent': 'overleaf-neovim/0.1',
-        'Accept': 'application/json',
-      },
-    };
-
-    const req = httpModule.request(options, (res) => {
-      let body = '';
-      res.on('data', (chunk) => { body += chunk; });
-      res.on('end', () => {
-        resolve({ status: res.statusCode, headers: res.headers, body });
-      });
-    });
-
-    req.on('error', reject);
-    req.setTimeout(15000, () => {
-      req.destroy(new Error('Request timeout'));
-    });
-    req.end();
+  return request('DELETE', url, cookie, {
+    headers: {
+      'X-Csrf-Token': csrfToken,
+      'Accept': 'application/json',
+    },
   });
 }
 
-function httpPostMultipart(url, cookie, csrfToken, filePath, fileName) {
-  return new Promise((resolve, reject) => {
-    const fs = require('fs');
-    const path = require('path');
-    const parsed = new URL(url);
-    const httpModule = parsed.protocol === 'http:' ? http : https;
-    const boundary = '----OverleafNeovim' + Date.now().toString(36);
-    fileName = fileName || path.basename(filePath);
-
-    const fileData = fs.readFileSync(filePath);
+/**
+ * Upload a file the way Overleaf's uploader does: multipart/form-data with
+ * the file name in "name" and the content in "qqfile". The file is streamed
+ * from disk; the timeout applies to a stalled upload, not to the whole upload.
+ * @param {object} [options]
+ * @param {string} [options.contentType] - Content type of the file (default application/octet-stream)
+ * @param {function} [options.onProgress] - Called with (sent, total) bytes of the file as it is sent
+ * @param {number} [options.chunkSize] - Bytes read from the file at a time (default 64 KiB)
+ * @param {AbortSignal} [options.signal] - Aborting rejects with ABORTED
+ */
+function httpPostMultipart(url, cookie, csrfToken, filePath, fileName, options) {
+  options = options || {};
+  const boundary = '----OverleafNeovim' + Date.now().toString(36);
+  fileName = fileName || path.basename(filePath);
+  // Quotes and line breaks can't appear in a quoted parameter (HTML form encoding)
+  const quoted = fileName.replace(/"/g, '%22').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
 
-    // Build multipart body
-    const parts = [];
-    parts.push(`--${boundary}\r\n`);
-    parts.push(`Content-Disposition: form-data; name="qqfile"; filename="${fileName}"\r\n`);
-    parts.push(`Content-Type: application/octet-stream\r\n\r\n`);
-    const header = Buffer.from(parts.join(''));
-    const footer = Buffer.from(`\r\n--${boundary}--\r\n`);
-    const body = Buffer.concat([header, fileData, footer]);
+  const header = Buffer.from([
+    `--${boundary}\r\n`,
+    `Content-Disposition: form-data; name="name"\r\n\r\n`,
+    `${fileName}\r\n`,
+    `--${boundary}\r\n`,
+    `Content-Disposition: form-data; name="qqfile"; filename="${quoted}"\r\n`,
+    `Content-Type: ${options.contentType || 'application/octet-stream'}\r\n\r\n`,
+  ].join(''));
+  const footer = Buffer.from(`\r\n--${boundary}--\r\n`);
+  const size = fs.statSync(filePath).size;
 
-    const options = {
-      hostname: parsed.hostname,
-      port: parsed.port || (parsed.protocol === 'http:' ? 80 : 443),
-      path: parsed.pathname + parsed.search,
-      method: 'POST',
-      headers: {
-        'Cookie': cookie,
-        'X-Csrf-Token': csrfToken,
-        'Content-Type': `multipart/form-data; boundary=${boundary}`,
-        'Content-Length': body.length,
-        'User-Agent': 'overleaf-neovim/0.1',
-        'Accept': 'application/json',
-      },
-    };
-
-    const req = httpModule.request(options, (res) => {
-      let responseBody = '';
-      res.on('data', (chunk) => { responseBody += chunk; });
-      res.on('end', () => {
-        resolve({ status: res.statusCode, headers: res.headers, body: responseBody });
-      });
-    });
+  async function* body() {
+    yield header;
+    let sent = 0;
+    for await (const chunk of fs.createReadStream(filePath, { highWaterMark: options.chunkSize })) {
+      yield chunk;
+      sent += chunk.length;
+      if (options.onProgress) options.onProgress(sent, size);
+    }
+    yield footer;
+  }
 
-    req.on('error', reject);
-    req.setTimeout(60000, () => {
-      req.destroy(new Error('Upload timeout'));
-    });
-    req.write(body);
-    req.end();
+  // The request may end before the whole body is sent (error, timeout,
+  // early answer): close the file then rather than leave it open
+  const content = stream.Readable.from(body());
+  return request('POST', url, cookie, {
+    headers: {
+      'X-Csrf-Token': csrfToken,
+      'Content-Type': `multipart/form-data; boundary=${boundary}`,
+      'Content-Length': header.length + size + footer.length,
+      'Accept': 'application/json',
+    },
+    body: content,
+    timeout: 60000,
+    timeoutMessage: 'Upload timeout',
+    signal: options.signal,
+  }).catch((err) => {
+    content.destroy();
+    throw err;
   });
 }
 
-module.exports = { fetchProjectPage, updateCookies, httpPost, httpGet, httpDelete, httpPostMultipart };
+module.exports = { fetchProjectPage, login, updateCookies, isAuthExpired, isSessionGone, httpPost, httpGet, httpDelete, httpPostMultipart };
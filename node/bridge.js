@@ -1,10 +1,20 @@
 #!/usr/bin/env node
 'use strict';
 
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const readline = require('readline');
+const stream = require('stream');
 const auth = require('./auth');
+const CookieJar = require('./cookie-jar');
 const SocketManager = require('./socket');
-const { getOverleafCookie, listProfiles } = require('./chrome-cookie');
+const latexLog = require('./latex-log');
+const zip = require('./zip');
+const glob = require('./glob');
+const chromeCookie = require('./chrome-cookie');
+const firefoxCookie = require('./firefox-cookie');
 
 // Redirect console.log to stderr (stdout is the RPC channel)
 const origLog = console.log;
@@ -14,6 +24,14 @@ const BASE_URL = process.env.OVERLEAF_URL || 'https://www.overleaf.com';
 
 let requestId = 0;
 let socketManager = null;
+let cookieJar = null;
+let knownCookies = new Set();
+let sessionExpired = false;
+const lastCompiles = new Map(); // projectId -> last compile result, see getLastCompile
+const runningCompiles = new Map(); // projectId -> AbortController of the compile in flight
+const downloads = new Map(); // local path -> { url, size, etag, lastModified } of the last download there
+const activeDownloads = new Map(); // local path -> AbortController of the download writing there
+const activeUploads = new Map(); // local path -> AbortController of the upload reading it
 let pendingRequests = 0;
 let stdinClosed = false;
 
@@ -33,36 +51,487 @@ function sendEvent(event, data) {
   send({ event, data });
 }
 
+/**
+ * Session cookie jar for a request's `cookie` param.
+ * Strings this bridge already knows (the seed, or any value sent in a
+ * 'cookieUpdated' event) map to the shared jar, so rotated cookies keep being
+ * used while the editor catches up; any other string starts a new session.
+ */
+function jarFor(cookie) {
+  if (cookieJar && knownCookies.has(cookie)) return cookieJar;
+  return useJar(new CookieJar(cookie), cookie);
+}
+
+function useJar(jar, cookie) {
+  cookieJar = jar;
+  knownCookies = new Set([cookie, jar.toString()]);
+  jar.on('cookieUpdated', (updated) => {
+    if (jar !== cookieJar) return;
+    knownCookies.add(updated);
+    sendEvent('cookieUpdated', { cookie: updated });
+  });
+  return jar;
+}
+
+/**
+ * Tell the editor (once per session) that it has to re-authenticate.
+ * Cleared by a successful auth or login.
+ */
+function reportSessionExpired(message) {
+  if (sessionExpired) return;
+  sessionExpired = true;
+  sendEvent('sessionExpired', { message });
+}
+
+const COMPILERS = ['pdflatex', 'xelatex', 'lualatex', 'latex'];
+const CHECK_MODES = ['silent', 'error', 'validate'];
+
+function validateCompiler(compiler) {
+  if (!COMPILERS.includes(compiler)) {
+    throw { code: 'INVALID_PARAM', message: `compiler must be one of: ${COMPILERS.join(', ')}` };
+  }
+}
+
+/**
+ * POST /project/:id/settings (rootDocId, compiler, ...).
+ * Overleaf broadcasts the change to every editor in the project.
+ */
+async function updateProjectSettings(cookie, csrfToken, projectId, settings) {
+  const res = await auth.httpPost(`${BASE_URL}/project/${projectId}/settings`, jarFor(cookie), csrfToken, settings);
+  if (res.status !== 204 && res.status !== 200) {
+    throw { code: 'SETTINGS_FAILED', message: `Update project settings failed: ${res.status} ${res.body}` };
+  }
+}
+
+// Compile outputs fetchCompileOutputs can download, by file extension
+const OUTPUT_TYPES = ['blg', 'bbl', 'aux', 'synctex.gz', 'fls'];
+
+// Compile output URLs contain the build id, so their content never changes
+const BUILD_OUTPUT_URL = /\/build\/[^/]+\/output\//;
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 5;
+const DOWNLOAD_TIMEOUT = 60000; // ms without data before a download fails
+const PROGRESS_INTERVAL = 250; // ms between downloadProgress events
+
+/**
+ * Progress events for a transfer: report(progress, done) sends
+ * { ...data, ...progress, done } at most every PROGRESS_INTERVAL, the first
+ * one PROGRESS_INTERVAL after the start, so quick transfers send none. The
+ * final report (done) is sent only if earlier ones were.
+ */
+function progressReporter(event, data) {
+  let last = Date.now();
+  let reported = false;
+  return (progress, done) => {
+    if (done ? !reported : Date.now() - last < PROGRESS_INTERVAL) return;
+    last = Date.now();
+    reported = true;
+    sendEvent(event, { ...data, ...progress, done: !!done });
+  };
+}
+
+/**
+ * Stream a URL to `dest` with the session cookie, following redirects.
+ * The body is written to a temporary file next to `dest` and renamed over it
+ * once complete, so a failed download never leaves a partial file behind.
+ *
+ * Skips the download when `dest` already holds this URL's content: build
+ * outputs are reused as long as the file size matches, other URLs are
+ * revalidated with If-None-Match / If-Modified-Since.
+ *
+ * Downloads that take longer than PROGRESS_INTERVAL send downloadProgress
+ * events { url, path, received, total, done } (total is null without a
+ * Content-Length); the last one has done: true, and the error code if the
+ * download failed.
+ * @param {object} [options]
+ * @param {number} [options.timeout] - Socket idle timeout in ms (default DOWNLOAD_TIMEOUT)
+ * @param {AbortSignal} [options.signal] - Rejects with ABORTED when aborted
+ * @returns {Promise<boolean>} Whether the existing file was reused
+ */
+function downloadToFile(url, jar, dest, options = {}) {
+  const previous = downloads.get(dest);
+  let size = -1;
+  try { size = fs.statSync(dest).size; } catch (e) { /* not downloaded yet */ }
+  const unchanged = previous && previous.url === url && previous.size === size;
+  if (unchanged && BUILD_OUTPUT_URL.test(new URL(url).pathname)) return Promise.resolve(true);
+
+  const conditional = {};
+  if (unchanged && previous.etag) conditional['If-None-Match'] = previous.etag;
+  if (unchanged && previous.lastModified) conditional['If-Modified-Since'] = previous.lastModified;
+  const tmpPath = `${dest}.${crypto.randomBytes(4).toString('hex')}.part`;
+
+  return new Promise((resolve, reject) => {
+    let timedOut = false;
+    let file = null;
+    let report = null;
+    let received = 0;
+    let total = null;
+    let failed = false;
+
+    // The request and the file stream can both report the same failure
+    const fail = (err, pathname) => {
+      if (failed) return;
+      failed = true;
+      let error = err;
+      if (options.signal && options.signal.aborted) {
+        error = { code: 'ABORTED', message: `Download aborted (${pathname})` };
+      } else if (timedOut) {
+        error = { code: 'TIMEOUT', message: `Download timed out (${pathname})` };
+      } else if (err instanceof Error) {
+        error = { code: 'DOWNLOAD_FAILED', message: `Download failed: ${err.message} (${pathname})` };
+      }
+      // Remove the temporary file once the stream writing it is closed
+      const cleanup = () => fs.rm(tmpPath, { force: true }, () => {
+        if (report) report({ received, total, error: error.code }, true);
+        reject(error);
+      });
+      if (file && !file.closed) {
+        file.once('close', cleanup);
+        file.destroy();
+      } else {
+        cleanup();
+      }
+    };
+
+    const receive = (res, pathname) => {
+      const length = parseInt(res.headers['content-length'], 10);
+      if (!Number.isNaN(length)) total = length;
+      report = progressReporter('downloadProgress', { url, path: dest });
+
+      res.on('data', (chunk) => {
+        received += chunk.length;
+        report({ received, total });
+      });
+      file = fs.createWriteStream(tmpPath);
+      stream.pipeline(res, file, (err) => {
+        if (err) {
+          fail(err, pathname);
+          return;
+        }
+        if (total !== null && received !== total) {
+          const message = `Incomplete download: ${received} of ${total} bytes (${pathname})`;
+          fail({ code: 'DOWNLOAD_FAILED', message }, pathname);
+          return;
+        }
+        fs.rename(tmpPath, dest, (renameErr) => {
+          if (renameErr) {
+            fail(renameErr, pathname);
+            return;
+          }
+          downloads.set(dest, {
+            url,
+            size: received,
+            etag: res.headers['etag'] || null,
+            lastModified: res.headers['last-modified'] || null,
+          });
+          report({ received, total }, true);
+          resolve(false);
+        });
+      });
+    };
+
+    const get = (target, redirects) => {
+      const parsed = new URL(target);
+      const httpModule = parsed.protocol === 'http:' ? require('http') : require('https');
+      const headers = { ...conditional };
+      const cookie = jar.getCookieHeader(target);
+      if (cookie) headers['Cookie'] = cookie;
+
+      const req = httpModule.get({
+        hostname: parsed.hostname,
+        port: parsed.port || (parsed.protocol === 'http:' ? 80 : 443),
+        path: parsed.pathname + parsed.search,
+        headers,
+        signal: options.signal,
+      }, (res) => {
+        jar.setCookies(res.headers['set-cookie'], target);
+        if (auth.isAuthExpired({ status: res.statusCode, headers: res.headers })) {
+          res.resume();
+          reject({ code: 'AUTH_EXPIRED', message: `Session expired or invalid (download: ${res.statusCode})` });
+          return;
+        }
+        if (REDIRECT_STATUSES.includes(res.statusCode) && res.headers.location) {
+          res.resume();
+          if (redirects >= MAX_REDIRECTS) {
+            reject({ code: 'DOWNLOAD_FAILED', message: `Download failed: too many redirects (${parsed.pathname})` });
+            return;
+          }
+          get(new URL(res.headers.location, target).href, redirects + 1);
+          return;
+        }
+        if (res.statusCode === 304 && unchanged) {
+          res.resume();
+          resolve(true);
+          return;
+        }
+        if (res.statusCode === 403) {
+          res.resume();
+          auth.isSessionGone(jar).then((gone) => reject(gone
+            ? { code: 'AUTH_EXPIRED', message: `Session expired or invalid (download: ${res.statusCode})` }
+            : { code: 'DOWNLOAD_FAILED', message: `Download failed: ${res.statusCode} ${parsed.pathname}` }));
+          return;
+        }
+        if (res.statusCode !== 200) {
+          res.resume();
+          reject({ code: 'DOWNLOAD_FAILED', message: `Download failed: ${res.statusCode} ${parsed.pathname}` });
+          return;
+        }
+        receive(res, parsed.pathname);
+      });
+      req.on('error', (err) => fail(err, parsed.pathname));
+      req.setTimeout(options.timeout || DOWNLOAD_TIMEOUT, () => {
+        timedOut = true;
+        req.destroy(new Error('timeout'));
+      });
+    };
+
+    get(url, 0);
+  });
+}
+
+/**
+ * downloadToFile for a bridge request, cancellable with cancelDownload.
+ */
+async function trackedDownload(url, jar, dest, timeout) {
+  const controller = new AbortController();
+  activeDownloads.set(dest, controller);
+  try {
+    return await downloadToFile(url, jar, dest, { signal: controller.signal, timeout });
+  } finally {
+    if (activeDownloads.get(dest) === controller) activeDownloads.delete(dest);
+  }
+}
+
+/**
+ * Local path of the last download of `url` that is still on disk, or null.
+ */
+function downloadedPath(url) {
+  for (const [dest, entry] of downloads) {
+    if (entry.url === url && fs.existsSync(dest)) return dest;
+  }
+  return null;
+}
+
+/**
+ * Like Promise.all(items.map(fn)), with at most `limit` calls in flight.
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Regular files under `root` as "/"-separated relative paths, sorted.
+ * Entries matching `exclude` are skipped (directories with their contents);
+ * symlinks are not followed.
+ */
+function walkDirectory(root, exclude) {
+  const files = [];
+  const walk = (dir, rel) => {
+    const entries = fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const relPath = rel ? `${rel}/${entry.name}` : entry.name;
+      if (glob.matchesAny(relPath, exclude)) continue;
+      if (entry.isDirectory()) {
+        walk(path.join(dir, entry.name), relPath);
+      } else if (entry.isFile()) {
+        files.push(relPath);
+      }
+    }
+  };
+  walk(root, '');
+  return files;
+}
+
+/**
+ * A user from diff metadata as { id, email, name }, or null for unknown
+ * (anonymous or deleted) users. Older Overleaf sends only the user id.
+ */
+function normalizeUser(user) {
+  if (!user) return null;
+  if (typeof user === 'string') return { id: user, email: null, name: null };
+  const name = [user.first_name, user.last_name].filter(Boolean).join(' ');
+  return { id: user.id || user._id || null, email: user.email || null, name: name || user.email || null };
+}
+
+const DIFF_TYPES = { u: 'unchanged', i: 'insert', d: 'delete' };
+
+/**
+ * Overleaf diff parts ({ u }, { i, meta }, { d, meta }) as segments
+ * { type, text, authors, startTs, endTs }. Adjacent parts with the same
+ * type and authors are merged.
+ */
+function normalizeDiff(parts) {
+  const segments = [];
+  const authorKey = (segment) => segment.authors.map((a) => a.id).join(',');
+  for (const part of parts) {
+    const key = Object.keys(DIFF_TYPES).find((k) => typeof part[k] === 'string');
+    if (!key) continue;
+    const meta = part.meta || {};
+    const users = meta.users || (meta.user ? [meta.user] : []);
+    const segment = {
+      type: DIFF_TYPES[key],
+      text: part[key],
+      authors: users.map(normalizeUser).filter(Boolean),
+      startTs: meta.start_ts || null,
+      endTs: meta.end_ts || null,
+    };
+    const last = segments[segments.length - 1];
+    if (last && last.type === segment.type && authorKey(last) === authorKey(segment)) {
+      last.text += segment.text;
+      if (segment.startTs && (!last.startTs || segment.startTs < last.startTs)) last.startTs = segment.startTs;
+      if (segment.endTs && (!last.endTs || segment.endTs > last.endTs)) last.endTs = segment.endTs;
+    } else {
+      segments.push(segment);
+    }
+  }
+  return segments;
+}
+
+const ABORT_MESSAGES = {
+  COMPILE_SUPERSEDED: 'Compile superseded by a newer compile',
+  COMPILE_STOPPED: 'Compile stopped',
+};
+
+/**
+ * Abort the project's compile request in flight; it rejects with `reason` as code.
+ * @returns {boolean} Whether a compile was running
+ */
+function abortCompile(projectId, reason) {
+  const controller = runningCompiles.get(projectId);
+  if (!controller) return false;
+  runningCompiles.delete(projectId);
+  controller.abort(reason);
+  return true;
+}
+
+/**
+ * POST /project/:id/compile/stop: kill the project's running compile on the CLSI.
+ */
+async function stopServerCompile(cookie, csrfToken, projectId) {
+  const res = await auth.httpPost(`${BASE_URL}/project/${projectId}/compile/stop`, jarFor(cookie), csrfToken, {});
+  if (res.status !== 200 && res.status !== 204) {
+    throw { code: 'STOP_FAILED', message: `Stop compile failed: ${res.status} ${res.body}` };
+  }
+}
+
+/**
+ * texcount result as returned by Overleaf -> counts with stable names.
+ */
+function normalizeWordCount(texcount) {
+  const n = (value) => parseInt(value, 10) || 0;
+  return {
+    textWords: n(texcount.textWords),
+    headWords: n(texcount.headWords),
+    outsideWords: n(texcount.outside),
+    headers: n(texcount.headers),
+    floats: n(texcount.elements),
+    mathInline: n(texcount.mathInline),
+    mathDisplay: n(texcount.mathDisplay),
+    errors: n(texcount.errors),
+    messages: texcount.messages || '',
+  };
+}
+
+/**
+ * GET /project/:id/sync/{code,pdf} against the build of the last compile.
+ * The clsiserverid routes the request to the CLSI instance holding that build.
+ */
+async function synctex(cookie, projectId, direction, query) {
+  const compile = lastCompiles.get(projectId);
+  if (!compile) {
+    throw { code: 'NO_COMPILE', message: 'No compile output to sync with: compile the project first' };
+  }
+  const search = new URLSearchParams(query);
+  if (compile.clsiServerId) search.set('clsiserverid', compile.clsiServerId);
+  if (compile.buildId) search.set('buildId', compile.buildId);
+
+  const res = await auth.httpGet(`${BASE_URL}/project/${projectId}/sync/${direction}?${search}`, jarFor(cookie), {
+    headers: { 'Accept': 'application/json' },
+  });
+  if (res.status !== 200) {
+    throw { code: 'SYNC_FAILED', message: `SyncTeX request failed: ${res.status} ${res.body}` };
+  }
+  return JSON.parse(res.body);
+}
+
+// Automatic cookie sources, in picker order
+const cookieSources = {
+  chrome: chromeCookie,
+  firefox: firefoxCookie,
+};
+
 const handlers = {
   async ping(params) {
     return { status: 'ok' };
   },
 
   async listChromeProfiles(params) {
-    const profiles = listProfiles();
+    const profiles = chromeCookie.listProfiles();
+    return { profiles };
+  },
+
+  async listBrowserProfiles(params) {
+    // A missing or unsupported browser just contributes no profiles
+    const profiles = [];
+    for (const [browser, source] of Object.entries(cookieSources)) {
+      try {
+        for (const profile of source.listProfiles()) {
+          profiles.push({ ...profile, browser });
+        }
+      } catch (e) {
+        console.log(`No ${browser} profiles: ${e.message || e}`);
+      }
+    }
     return { profiles };
   },
 
   async getCookie(params) {
-    const cookie = await getOverleafCookie(params.profile);
+    const browser = params.browser || 'chrome';
+    const source = cookieSources[browser];
+    if (!source) throw { code: 'UNSUPPORTED', message: `Unsupported browser: ${browser}` };
+    const cookie = await source.getOverleafCookie(params.profile);
     return { cookie };
   },
 
   async auth(params) {
     const { cookie } = params;
     if (!cookie) throw { code: 'MISSING_PARAM', message: 'cookie is required' };
-    return await auth.fetchProjectPage(cookie);
+    const result = await auth.fetchProjectPage(jarFor(cookie));
+    sessionExpired = false;
+    return result;
+  },
+
+  async login(params) {
+    const { email, password } = params;
+    if (!email || !password) throw { code: 'MISSING_PARAM', message: 'email and password are required' };
+    const jar = new CookieJar();
+    const result = await auth.login(email, password, jar);
+    useJar(jar, result.cookie);
+    sessionExpired = false;
+    return result;
   },
 
   async connect(params) {
-    let { cookie, projectId } = params;
+    const { cookie, projectId, reconnect } = params;
     if (!cookie || !projectId) {
       throw { code: 'MISSING_PARAM', message: 'cookie and projectId are required' };
     }
 
+    const jar = jarFor(cookie);
+
     // Fetch GCLB cookie for load balancer stickiness (skip for local/test servers)
     if (!process.env.OVERLEAF_URL) {
-      cookie = await auth.updateCookies(cookie);
+      await auth.updateCookies(jar);
       console.log('Updated cookies for socket connection');
     }
 
@@ -70,15 +539,18 @@ const handlers = {
       socketManager.disconnect();
     }
 
-    socketManager = new SocketManager(cookie, projectId, sendEvent);
+    socketManager = new SocketManager(jar, projectId, sendEvent, {
+      reconnect: !!reconnect,
+      onSessionExpired: reportSessionExpired,
+    });
     return await socketManager.connect();
   },
 
   async joinDoc(params) {
-    const { docId } = params;
+    const { docId, fromVersion } = params;
     if (!socketManager) throw { code: 'NOT_CONNECTED', message: 'Not connected to a project' };
     if (!docId) throw { code: 'MISSING_PARAM', message: 'docId is required' };
-    return await socketManager.joinDoc(docId);
+    return await socketManager.joinDoc(docId, fromVersion);
   },
 
   async leaveDoc(params) {
@@ -97,108 +569,369 @@ const handlers = {
     return await socketManager.applyOtUpdate(docId, op, v, content);
   },
 
+  async updatePosition(params) {
+    const { docId, row, column } = params;
+    if (!socketManager) throw { code: 'NOT_CONNECTED', message: 'Not connected to a project' };
+    if (!docId || row === undefined || column === undefined) {
+      throw { code: 'MISSING_PARAM', message: 'docId, row, and column are required' };
+    }
+    return socketManager.updatePosition(docId, row, column);
+  },
+
+  async getConnectedUsers(params) {
+    if (!socketManager) throw { code: 'NOT_CONNECTED', message: 'Not connected to a project' };
+    return await socketManager.getConnectedUsers();
+  },
+
+  /**
+   * Compile the project.
+   * Optional params: draft, rootDocId (compile another doc as root),
+   * compiler (one-off override of the project compiler),
+   * stopOnFirstError, check ('silent' | 'error' | 'validate').
+   */
   async compile(params) {
+    const { cookie, csrfToken, projectId, rootDocId, compiler } = params;
+    if (!cookie || !csrfToken || !projectId) {
+      throw { code: 'MISSING_PARAM', message: 'cookie, csrfToken, and projectId are required' };
+    }
+    if (compiler !== undefined) validateCompiler(compiler);
+    const check = params.check || 'silent';
+    if (!CHECK_MODES.includes(check)) {
+      throw { code: 'INVALID_PARAM', message: `check must be one of: ${CHECK_MODES.join(', ')}` };
+    }
+
+    const body = {
+      check,
+      draft: !!params.draft,
+      incrementalCompilesEnabled: true,
+      stopOnFirstError: !!params.stopOnFirstError,
+    };
+    if (rootDocId) body.rootDoc_id = rootDocId;
+    if (compiler) body.compiler = compiler;
+
+    // A newer compile supersedes the one in flight, which is also stopped on the server
+    // if possible: the compile asked for goes ahead either way. It is registered before
+    // that stop, so a compile requested meanwhile supersedes this one in turn.
+    const superseding = abortCompile(projectId, 'COMPILE_SUPERSEDED');
+    const controller = new AbortController();
+    runningCompiles.set(projectId, controller);
+
+    let parsed, outputFiles, logFile, logUrl = null, log = '', diagnostics = [];
+    const previous = lastCompiles.get(projectId);
+    try {
+      if (superseding) {
+        try {
+          await stopServerCompile(cookie, csrfToken, projectId);
+        } catch (err) {
+          console.log(`Could not stop the superseded compile: ${err.message || err}`);
+        }
+        controller.signal.throwIfAborted();
+      }
+
+      const compileRes = await auth.httpPost(
+        `${BASE_URL}/project/${projectId}/compile?auto_compile=true`,
+        jarFor(cookie), csrfToken,
+        body,
+        { signal: controller.signal }
+      );
+
+      if (compileRes.status !== 200) {
+        throw { code: 'COMPILE_ERROR', message: `Compile request failed with status ${compileRes.status}` };
+      }
+
+      parsed = JSON.parse(compileRes.body);
+      outputFiles = parsed.outputFiles || [];
+
+      // Download log if available (unless it is the same build's log as last time)
+      logFile = outputFiles.find(f => f.path === 'output.log');
+      if (logFile && previous && previous.logUrl === logFile.url) {
+        ({ log, diagnostics, logUrl } = previous);
+      } else if (logFile) {
+        const logRes = await auth.httpGet(`${BASE_URL}${logFile.url}`, jarFor(cookie), { signal: controller.signal });
+        // A failed download leaves the log empty and uncached, so the next compile retries it
+        if (logRes.status === 200) {
+          log = logRes.body;
+          diagnostics = latexLog.parseLog(log);
+          logUrl = logFile.url;
+        }
+      }
+    } catch (err) {
+      if (controller.signal.aborted) {
+        throw { code: controller.signal.reason, message: ABORT_MESSAGES[controller.signal.reason] };
+      }
+      throw err;
+    } finally {
+      if (runningCompiles.get(projectId) === controller) runningCompiles.delete(projectId);
+    }
+
+    // Newer Overleaf returns buildId; older ones only tag each output file with its build
+    const buildId = parsed.buildId || (outputFiles.find((f) => f.build) || {}).build || null;
+
+    const result = { status: parsed.status, outputFiles, log, diagnostics };
+    lastCompiles.set(projectId, {
+      ...result,
+      clsiServerId: parsed.clsiServerId || null,
+      buildId,
+      logUrl,
+    });
+    return result;
+  },
+
+  async stopCompile(params) {
     const { cookie, csrfToken, projectId } = params;
     if (!cookie || !csrfToken || !projectId) {
       throw { code: 'MISSING_PARAM', message: 'cookie, csrfToken, and projectId are required' };
     }
+    const wasRunning = abortCompile(projectId, 'COMPILE_STOPPED');
+    await stopServerCompile(cookie, csrfToken, projectId);
+    return { wasRunning };
+  },
 
-    const compileRes = await auth.httpPost(
-      `${BASE_URL}/project/${projectId}/compile?auto_compile=true`,
-      cookie, csrfToken,
-      { check: 'silent', draft: false, incrementalCompilesEnabled: true, stopOnFirstError: false }
-    );
+  /**
+   * DELETE /project/:id/output: remove the project's cached build state (aux
+   * files etc.) on the CLSI, so the next compile starts from scratch.
+   */
+  async clearCompileCache(params) {
+    const { cookie, csrfToken, projectId } = params;
+    if (!cookie || !csrfToken || !projectId) {
+      throw { code: 'MISSING_PARAM', message: 'cookie, csrfToken, and projectId are required' };
+    }
+    const compile = lastCompiles.get(projectId);
+    const query = compile && compile.clsiServerId ? `?clsiserverid=${encodeURIComponent(compile.clsiServerId)}` : '';
+    const res = await auth.httpDelete(`${BASE_URL}/project/${projectId}/output${query}`, jarFor(cookie), csrfToken);
+    if (res.status !== 200 && res.status !== 204) {
+      throw { code: 'CLEAR_CACHE_FAILED', message: `Clear compile cache failed: ${res.status} ${res.body}` };
+    }
+    lastCompiles.delete(projectId);
+    return {};
+  },
 
-    if (compileRes.status !== 200) {
-      throw { code: 'COMPILE_ERROR', message: `Compile request failed with status ${compileRes.status}` };
+  /**
+   * Result of the project's last compile in this session, without network access:
+   * { status, outputFiles, log, diagnostics, clsiServerId, buildId, pdfPath }.
+   * pdfPath is the downloaded output.pdf of that build, or null.
+   */
+  async getLastCompile(params) {
+    const { projectId } = params;
+    if (!projectId) {
+      throw { code: 'MISSING_PARAM', message: 'projectId is required' };
     }
+    const compile = lastCompiles.get(projectId);
+    if (!compile) {
+      throw { code: 'NO_COMPILE', message: 'Project has not been compiled in this session' };
+    }
+    const { logUrl, ...result } = compile;
+    const pdf = compile.outputFiles.find((f) => f.path === 'output.pdf');
+    return { ...result, pdfPath: pdf ? downloadedPath(`${BASE_URL}${pdf.url}`) : null };
+  },
+
+  /**
+   * Download compile outputs (.aux, .bbl, ...) into <outputDir>/<projectId>/.
+   * Params: types (default: all of OUTPUT_TYPES), outputFiles (default: the
+   * last compile's), outputDir (default: system temp dir), concurrency (default 4).
+   * Returns { outputDir, files: [{ path, type, localPath, cached }] }; cached files
+   * were already downloaded from the same build.
+   */
+  async fetchCompileOutputs(params) {
+    const { cookie, projectId } = params;
+    if (!cookie || !projectId) {
+      throw { code: 'MISSING_PARAM', message: 'cookie and projectId are required' };
+    }
+    const types = params.types || OUTPUT_TYPES;
+    const unknown = types.filter((t) => !OUTPUT_TYPES.includes(t));
+    if (unknown.length > 0) {
+      throw { code: 'INVALID_PARAM', message: `Unknown output types: ${unknown.join(', ')} (expected: ${OUTPUT_TYPES.join(', ')})` };
+    }
+    const outputFiles = params.outputFiles || (lastCompiles.get(projectId) || {}).outputFiles;
+    if (!outputFiles) {
+      throw { code: 'NO_COMPILE', message: 'No compile outputs: compile the project first' };
+    }
+
+    const dir = path.resolve(params.outputDir || path.join(os.tmpdir(), 'overleaf-output'), projectId);
+    fs.mkdirSync(dir, { recursive: true });
+    const jar = jarFor(cookie);
+    const wanted = outputFiles.filter((f) => f.url && types.some((t) => f.path.endsWith('.' + t)));
+
+    const files = await mapLimit(wanted, params.concurrency || 4, async (file) => {
+      const localPath = path.resolve(dir, file.path);
+      if (!localPath.startsWith(dir + path.sep)) {
+        throw { code: 'INVALID_PATH', message: `Output file outside the output directory: ${file.path}` };
+      }
+      fs.mkdirSync(path.dirname(localPath), { recursive: true });
+      const cached = await downloadToFile(`${BASE_URL}${file.url}`, jar, localPath);
+      return { path: file.path, type: types.find((t) => file.path.endsWith('.' + t)), localPath, cached };
+    });
 
-    const parsed = JSON.parse(compileRes.body);
+    return { outputDir: dir, files };
+  },
 
-    // Download log if available
-    const logFile = (parsed.outputFiles || []).find(f => f.path === 'output.log');
-    let log = '';
-    if (logFile) {
-      const logUrl = `${BASE_URL}${logFile.url}`;
-      const logRes = await auth.httpGet(logUrl, cookie);
-      log = logRes.body;
+  /**
+   * SyncTeX forward search: source position -> PDF position.
+   * line is 1-based, column 0-based. Returns { page, h, v, width, height }.
+   */
+  async syncFromCode(params) {
+    const { cookie, projectId, file, line } = params;
+    if (!cookie || !projectId || !file || !line) {
+      throw { code: 'MISSING_PARAM', message: 'cookie, projectId, file, and line are required' };
     }
+    const data = await synctex(cookie, projectId, 'code', { file, line, column: params.column || 0 });
+    const pdf = (data.pdf || [])[0];
+    if (!pdf) {
+      throw { code: 'SYNC_FAILED', message: `No PDF position for ${file}:${line}` };
+    }
+    return {
+      page: Number(pdf.page),
+      h: Number(pdf.h),
+      v: Number(pdf.v),
+      width: Number(pdf.width),
+      height: Number(pdf.height),
+    };
+  },
 
-    return { status: parsed.status, outputFiles: parsed.outputFiles || [], log };
+  /**
+   * SyncTeX inverse search: PDF position (page, h, v in PDF points) -> source position.
+   * Returns { file, line, column }.
+   */
+  async syncFromPdf(params) {
+    const { cookie, projectId, page, h, v } = params;
+    if (!cookie || !projectId || page === undefined || h === undefined || v === undefined) {
+      throw { code: 'MISSING_PARAM', message: 'cookie, projectId, page, h, and v are required' };
+    }
+    const data = await synctex(cookie, projectId, 'pdf', { page, h: Number(h).toFixed(2), v: Number(v).toFixed(2) });
+    const code = (data.code || [])[0];
+    if (!code) {
+      throw { code: 'SYNC_FAILED', message: `No source position for page ${page}` };
+    }
+    return { file: code.file.replace(/^\.\//, ''), line: Number(code.line), column: Number(code.column) };
   },
 
+  /**
+   * Word count of the project (texcount on the CLSI).
+   * Optional params: rootDocId (count from another root document), clsiServerId
+   * (default: the last compile's), files (paths to also count one by one).
+   * Returns the totals plus files: [{ file, ...counts }].
+   */
+  async wordCount(params) {
+    const { cookie, projectId, rootDocId } = params;
+    if (!cookie || !projectId) {
+      throw { code: 'MISSING_PARAM', message: 'cookie and projectId are required' };
+    }
+    const clsiServerId = params.clsiServerId || (lastCompiles.get(projectId) || {}).clsiServerId;
+    const jar = jarFor(cookie);
+
+    const count = async (file) => {
+      const search = new URLSearchParams();
+      if (file) search.set('file', file);
+      if (rootDocId) search.set('rootDocId', rootDocId);
+      if (clsiServerId) search.set('clsiserverid', clsiServerId);
+      const query = search.toString() ? `?${search}` : '';
+      const res = await auth.httpGet(`${BASE_URL}/project/${projectId}/wordcount${query}`, jar, {
+        headers: { 'Accept': 'application/json' },
+        timeout: 60000,
+      });
+      if (res.status !== 200) {
+        throw { code: 'WORDCOUNT_FAILED', message: `Word count failed: ${res.status} ${res.body}` };
+      }
+      return normalizeWordCount(JSON.parse(res.body).texcount || {});
+    };
+
+    const total = await count(null);
+    const files = await mapLimit(params.files || [], 4, async (file) => ({ file, ...(await count(file)) }));
+    return { ...total, files };
+  },
+
+  async setRootDoc(params) {
+    const { cookie, csrfToken, projectId, docId } = params;
+    if (!cookie || !csrfToken || !projectId || !docId) {
+      throw { code: 'MISSING_PARAM', message: 'cookie, csrfToken, projectId, and docId are required' };
+    }
+    await updateProjectSettings(cookie, csrfToken, projectId, { rootDocId: docId });
+    return {};
+  },
+
+  async setCompiler(params) {
+    const { cookie, csrfToken, projectId, compiler } = params;
+    if (!cookie || !csrfToken || !projectId || !compiler) {
+      throw { code: 'MISSING_PARAM', message: 'cookie, csrfToken, projectId, and compiler are required' };
+    }
+    validateCompiler(compiler);
+    await updateProjectSettings(cookie, csrfToken, projectId, { compiler });
+    return {};
+  },
+
+  /**
+   * Download a URL (e.g. a compile output) into outputDir.
+   * Returns { path, cached }, see downloadToFile.
+   */
   async downloadUrl(params) {
     const { cookie, url, fileName, outputDir } = params;
     if (!cookie || !url) {
       throw { code: 'MISSING_PARAM', message: 'cookie and url are required' };
     }
 
-    const dir = outputDir || require('os').tmpdir();
-    const fs = require('fs');
+    const dir = outputDir || os.tmpdir();
     fs.mkdirSync(dir, { recursive: true });
-    const tmpPath = require('path').join(dir, 'overleaf_' + (fileName || 'download'));
+    const tmpPath = path.join(dir, 'overleaf_' + (fileName || 'download'));
+    const cached = await trackedDownload(url, jarFor(cookie), tmpPath, params.timeout);
 
-    await new Promise((resolve, reject) => {
-      const parsed = new URL(url);
-      const httpModule = parsed.protocol === 'http:' ? require('http') : require('https');
-      httpModule.get({
-        hostname: parsed.hostname,
-        port: parsed.port || (parsed.protocol === 'http:' ? 80 : 443),
-        path: parsed.pathname + parsed.search,
-        headers: { 'Cookie': cookie },
-      }, (res) => {
-        const ws = fs.createWriteStream(tmpPath);
-        res.pipe(ws);
-        ws.on('finish', () => { ws.close(); resolve(); });
-        ws.on('error', reject);
-      }).on('error', reject);
-    });
-
-    return { path: tmpPath };
+    return { path: tmpPath, cached };
   },
 
+  /**
+   * Download a binary project file into outputDir.
+   * Returns { path, cached }, see downloadToFile.
+   */
   async downloadFile(params) {
     const { cookie, projectId, fileId, fileName, outputDir } = params;
     if (!cookie || !projectId || !fileId) {
       throw { code: 'MISSING_PARAM', message: 'cookie, projectId, and fileId are required' };
     }
 
+    const dir = outputDir || os.tmpdir();
+    fs.mkdirSync(dir, { recursive: true });
+    const tmpPath = path.join(dir, 'overleaf_' + (fileName || fileId));
     const url = `${BASE_URL}/project/${projectId}/file/${fileId}`;
-    const dir = outputDir || require('os').tmpdir();
+    const cached = await trackedDownload(url, jarFor(cookie), tmpPath, params.timeout);
+
+    return { path: tmpPath, cached };
+  },
+
+  /**
+   * Abort the download writing to `path` (downloadUrl, downloadFile,
+   * downloadProjectZip); it fails with ABORTED.
+   */
+  async cancelDownload(params) {
+    if (!params.path) {
+      throw { code: 'MISSING_PARAM', message: 'path is required' };
+    }
+    const controller = activeDownloads.get(params.path);
+    if (controller) controller.abort();
+    return { cancelled: !!controller };
+  },
 
-    // Download binary file
-    const fs = require('fs');
+  /**
+   * Download the whole project as a zip archive (one request), and optionally
+   * extract it into `extractTo`. Extraction refuses archives with entries
+   * outside the target directory and writes nothing in that case.
+   */
+  async downloadProjectZip(params) {
+    const { cookie, projectId, outputDir, fileName, extractTo } = params;
+    if (!cookie || !projectId) {
+      throw { code: 'MISSING_PARAM', message: 'cookie and projectId are required' };
+    }
+
+    const dir = outputDir || os.tmpdir();
     fs.mkdirSync(dir, { recursive: true });
-    const tmpPath = require('path').join(dir, 'overleaf_' + (fileName || fileId));
-    await new Promise((resolve, reject) => {
-      const parsed = new URL(url);
-      const httpModule = parsed.protocol === 'http:' ? require('http') : require('https');
-      httpModule.get({
-        hostname: parsed.hostname,
-        port: parsed.port || (parsed.protocol === 'http:' ? 80 : 443),
-        path: parsed.pathname,
-        headers: { 'Cookie': cookie },
-      }, (res) => {
-        if (res.statusCode === 302 && res.headers.location) {
-          // Follow redirect
-          const redirectParsed = new URL(res.headers.location);
-          const redirectModule = redirectParsed.protocol === 'http:' ? require('http') : require('https');
-          redirectModule.get(res.headers.location, { headers: { 'Cookie': cookie } }, (res2) => {
-            const ws = fs.createWriteStream(tmpPath);
-            res2.pipe(ws);
-            ws.on('finish', () => { ws.close(); resolve(); });
-            ws.on('error', reject);
-          }).on('error', reject);
-        } else {
-          const ws = fs.createWriteStream(tmpPath);
-          res.pipe(ws);
-          ws.on('finish', () => { ws.close(); resolve(); });
-          ws.on('error', reject);
-        }
-      }).on('error', reject);
-    });
+    const zipPath = path.join(dir, fileName || `overleaf_${projectId}.zip`);
+    const url = `${BASE_URL}/project/${projectId}/download/zip`;
+    const cached = await trackedDownload(url, jarFor(cookie), zipPath, params.timeout);
+    const result = { path: zipPath, size: fs.statSync(zipPath).size, cached };
 
-    return { path: tmpPath };
+    if (extractTo) {
+      result.extractDir = path.resolve(extractTo);
+      result.files = zip.extract(zipPath, result.extractDir);
+    }
+    return result;
   },
 
   async createDoc(params) {
@@ -208,7 +941,7 @@ const handlers = {
     }
     const res = await auth.httpPost(
       `${BASE_URL}/project/${projectId}/doc`,
-      cookie, csrfToken,
+      jarFor(cookie), csrfToken,
       { name, parent_folder_id: parentFolderId || null }
     );
     if (res.status !== 200) {
@@ -224,7 +957,7 @@ const handlers = {
     }
     const res = await auth.httpPost(
       `${BASE_URL}/project/${projectId}/folder`,
-      cookie, csrfToken,
+      jarFor(cookie), csrfToken,
       { name, parent_folder_id: parentFolderId || null }
     );
     if (res.status !== 200) {
@@ -240,7 +973,7 @@ const handlers = {
     }
     const res = await auth.httpPost(
       `${BASE_URL}/project/${projectId}/${entityType}/${entityId}/rename`,
-      cookie, csrfToken,
+      jarFor(cookie), csrfToken,
       { name: newName }
     );
     if (res.status !== 204 && res.status !== 200) {
@@ -249,6 +982,22 @@ const handlers = {
     return {};
   },
 
+  async moveEntity(params) {
+    const { cookie, csrfToken, projectId, entityId, entityType, folderId } = params;
+    if (!cookie || !csrfToken || !projectId || !entityId || !entityType || !folderId) {
+      throw { code: 'MISSING_PARAM', message: 'cookie, csrfToken, projectId, entityId, entityType, and folderId are required' };
+    }
+    const res = await auth.httpPost(
+      `${BASE_URL}/project/${projectId}/${entityType}/${entityId}/move`,
+      jarFor(cookie), csrfToken,
+      { folder_id: folderId }
+    );
+    if (res.status !== 204 && res.status !== 200) {
+      throw { code: 'MOVE_FAILED', message: `Move failed: ${res.status} ${res.body}` };
+    }
+    return {};
+  },
+
   async deleteEntity(params) {
     const { cookie, csrfToken, projectId, entityId, entityType } = params;
     if (!cookie || !csrfToken || !projectId || !entityId || !entityType) {
@@ -256,7 +1005,7 @@ const handlers = {
     }
     const res = await auth.httpDelete(
       `${BASE_URL}/project/${projectId}/${entityType}/${entityId}`,
-      cookie, csrfToken
+      jarFor(cookie), csrfToken
     );
     if (res.status !== 204 && res.status !== 200) {
       throw { code: 'DELETE_FAILED', message: `Delete failed: ${res.status}` };
@@ -264,39 +1013,302 @@ const handlers = {
     return {};
   },
 
+  /**
+   * Upload a local file into a project folder (default: the root folder).
+   * When connected to the project, a file with the same name there is only
+   * replaced with `replace: true`, otherwise the upload fails with
+   * ENTITY_EXISTS. Slow uploads send
+   * uploadProgress events { path, name, sent, total, done }.
+   * Returns Overleaf's response plus `replaced` (null when not connected to
+   * the project) and `replacedEntityId`.
+   */
   async uploadFile(params) {
-    const { cookie, csrfToken, projectId, filePath, fileName, parentFolderId } = params;
+    const { cookie, csrfToken, projectId, filePath, parentFolderId, contentType, replace } = params;
     if (!cookie || !csrfToken || !projectId || !filePath) {
       throw { code: 'MISSING_PARAM', message: 'cookie, csrfToken, projectId, and filePath are required' };
     }
-    const fs = require('fs');
     if (!fs.existsSync(filePath)) {
       throw { code: 'FILE_NOT_FOUND', message: `File not found: ${filePath}` };
     }
-    const folderId = parentFolderId || 'rootFolder';
+    const fileName = params.fileName || path.basename(filePath);
+    const connected = socketManager && socketManager.projectId === projectId && socketManager.rootFolder;
+    const project = connected ? socketManager : null;
+    const folderId = parentFolderId || (project ? project.rootFolderId : 'rootFolder');
+
+    // Overleaf silently replaces a file with the same name, so check first
+    // (without the project's file tree, upload as Overleaf does)
+    const existing = project ? project.findEntity(folderId, fileName) : null;
+    if (existing && (existing.type === 'folder' || !replace)) {
+      throw { code: 'ENTITY_EXISTS', message: `A ${existing.type} named ${fileName} already exists in this folder` };
+    }
+
+    const report = progressReporter('uploadProgress', { path: filePath, name: fileName });
     const url = `${BASE_URL}/project/${projectId}/upload?folder_id=${folderId}`;
-    const res = await auth.httpPostMultipart(url, cookie, csrfToken, filePath, fileName);
+    const controller = new AbortController();
+    activeUploads.set(filePath, controller);
+    let res;
+    try {
+      res = await auth.httpPostMultipart(url, jarFor(cookie), csrfToken, filePath, fileName, {
+        contentType,
+        onProgress: (sent, total) => report({ sent, total }),
+        signal: controller.signal,
+      });
+    } catch (err) {
+      report({ error: err.code || 'UPLOAD_FAILED' }, true);
+      throw err;
+    } finally {
+      if (activeUploads.get(filePath) === controller) activeUploads.delete(filePath);
+    }
     if (res.status !== 200) {
+      report({ error: 'UPLOAD_FAILED' }, true);
       throw { code: 'UPLOAD_FAILED', message: `Upload failed: ${res.status} ${res.body}` };
     }
-    return JSON.parse(res.body);
+    const size = fs.statSync(filePath).size;
+    report({ sent: size, total: size }, true);
+
+    const result = JSON.parse(res.body);
+    if (project) {
+      if (existing) project.removeEntity(existing.entity._id);
+      project.addEntity(folderId, result.entity_type || 'file', { _id: result.entity_id, name: fileName });
+    }
+    result.replaced = project ? !!existing : null;
+    if (existing) result.replacedEntityId = existing.entity._id;
+    return result;
+  },
+
+  /**
+   * Abort the upload reading `path` (uploadFile, or a file of
+   * uploadDirectory); it fails with ABORTED.
+   */
+  async cancelUpload(params) {
+    if (!params.path) {
+      throw { code: 'MISSING_PARAM', message: 'path is required' };
+    }
+    const controller = activeUploads.get(params.path);
+    if (controller) controller.abort();
+    return { cancelled: !!controller };
   },
 
+  /**
+   * Upload a local directory into the project folder `targetPath`
+   * (project-relative, default: the directory's name; '' = root folder),
+   * creating missing folders. Files go through uploadFile, so Overleaf turns
+   * text files into docs, and existing files and docs are only replaced with
+   * `replace: true` (otherwise skipped). `include` / `exclude` are glob
+   * patterns (see glob.js) on paths relative to `localPath`.
+   * Returns { files: [{ path, status, entityId, entityType, error }], created, replaced, skipped, failed },
+   * status being 'created' | 'replaced' | 'skipped' | 'failed'.
+   *
+   * Unlike uploadFile this needs a connection to the project (NOT_CONNECTED
+   * otherwise): folders that already exist are found by name in its file
+   * tree, and Overleaf refuses to create a folder with a name that is taken,
+   * so there is no placement to fall back to without it.
+   */
+  async uploadDirectory(params) {
+    const { cookie, csrfToken, projectId, localPath } = params;
+    if (!cookie || !csrfToken || !projectId || !localPath) {
+      throw { code: 'MISSING_PARAM', message: 'cookie, csrfToken, projectId, and localPath are required' };
+    }
+    if (!socketManager || socketManager.projectId !== projectId || !socketManager.rootFolder) {
+      throw {
+        code: 'NOT_CONNECTED',
+        message: 'Connect to the project first: existing folders are looked up in its file tree',
+      };
+    }
+    const root = path.resolve(localPath);
+    if (!fs.existsSync(root)) {
+      throw { code: 'FILE_NOT_FOUND', message: `Directory not found: ${localPath}` };
+    }
+    if (!fs.statSync(root).isDirectory()) {
+      throw { code: 'INVALID_PARAM', message: `Not a directory: ${localPath}` };
+    }
+    const project = socketManager;
+    const targetPath = (params.targetPath === undefined ? path.basename(root) : params.targetPath)
+      .split('/').filter(Boolean).join('/');
+    const include = params.include || [];
+    const files = walkDirectory(root, params.exclude || [])
+      .filter((file) => include.length === 0 || glob.matchesAny(file, include));
+
+    // Folder id by project path, looked up or created once even with concurrent uploads
+    const folders = new Map([['', Promise.resolve(project.rootFolderId)]]);
+    const folderId = (folderPath) => {
+      if (!folders.has(folderPath)) {
+        const slash = folderPath.lastIndexOf('/');
+        const name = folderPath.slice(slash + 1);
+        folders.set(folderPath, folderId(folderPath.slice(0, Math.max(slash, 0))).then(async (parentId) => {
+          const existing = project.findEntity(parentId, name);
+          if (existing && existing.type === 'folder') return existing.entity._id;
+          if (existing) {
+            const message = `A ${existing.type} named ${name} is in the way of folder ${folderPath}`;
+            throw { code: 'PATH_CONFLICT', message };
+          }
+          const folder = await handlers.createFolder({ cookie, csrfToken, projectId, name, parentFolderId: parentId });
+          project.addEntity(parentId, 'folder', folder);
+          return folder._id;
+        }));
+      }
+      return folders.get(folderPath);
+    };
+
+    const results = await mapLimit(files, params.concurrency || 4, async (file) => {
+      const projectPath = targetPath ? `${targetPath}/${file}` : file;
+      const slash = projectPath.lastIndexOf('/');
+      try {
+        const result = await handlers.uploadFile({
+          cookie,
+          csrfToken,
+          projectId,
+          filePath: path.join(root, file),
+          fileName: projectPath.slice(slash + 1),
+          parentFolderId: await folderId(projectPath.slice(0, Math.max(slash, 0))),
+          replace: !!params.replace,
+        });
+        return {
+          path: file,
+          status: result.replaced ? 'replaced' : 'created',
+          entityId: result.entity_id,
+          entityType: result.entity_type,
+        };
+      } catch (err) {
+        // Nothing else can succeed without a session
+        if (err.code === 'AUTH_EXPIRED') throw err;
+        return {
+          path: file,
+          status: err.code === 'ENTITY_EXISTS' && !params.replace ? 'skipped' : 'failed',
+          error: { code: err.code || 'UPLOAD_FAILED', message: err.message || String(err) },
+        };
+      }
+    });
+
+    const count = (status) => results.filter((r) => r.status === status).length;
+    return {
+      files: results,
+      created: count('created'),
+      replaced: count('replaced'),
+      skipped: count('skipped'),
+      failed: count('failed'),
+    };
+  },
+
+  /**
+   * One page of project history, newest first. Pass the returned
+   * `nextBeforeTimestamp` as `before` for the next (older) page; it is null
+   * on the last page.
+   */
   async getHistory(params) {
-    const { cookie, projectId, minCount } = params;
+    const { cookie, projectId, minCount, before } = params;
     if (!cookie || !projectId) {
       throw { code: 'MISSING_PARAM', message: 'cookie and projectId are required' };
     }
-    const res = await auth.httpGet(
-      `${BASE_URL}/project/${projectId}/updates?min_count=${minCount || 15}`,
-      cookie
-    );
+    const search = new URLSearchParams({ min_count: minCount || 15 });
+    if (before !== undefined && before !== null) search.set('before', before);
+    const res = await auth.httpGet(`${BASE_URL}/project/${projectId}/updates?${search}`, jarFor(cookie));
     if (res.status !== 200) {
       throw { code: 'HISTORY_FAILED', message: `History request failed: ${res.status}` };
     }
+    const history = JSON.parse(res.body);
+    return { ...history, updates: history.updates || [], nextBeforeTimestamp: history.nextBeforeTimestamp || null };
+  },
+
+  /**
+   * Named versions ("labels") of the project:
+   * [{ id, comment, version, user_id, created_at, user_display_name }].
+   */
+  async getLabels(params) {
+    const { cookie, projectId } = params;
+    if (!cookie || !projectId) {
+      throw { code: 'MISSING_PARAM', message: 'cookie and projectId are required' };
+    }
+    const res = await auth.httpGet(`${BASE_URL}/project/${projectId}/labels`, jarFor(cookie));
+    if (res.status !== 200) {
+      throw { code: 'HISTORY_FAILED', message: `Labels request failed: ${res.status}` };
+    }
+    return { labels: JSON.parse(res.body) };
+  },
+
+  /**
+   * Name a history version (getHistory's toV). Returns the new label.
+   */
+  async createLabel(params) {
+    const { cookie, csrfToken, projectId, comment, version } = params;
+    if (!cookie || !csrfToken || !projectId || !comment || version === undefined) {
+      throw { code: 'MISSING_PARAM', message: 'cookie, csrfToken, projectId, comment, and version are required' };
+    }
+    const res = await auth.httpPost(
+      `${BASE_URL}/project/${projectId}/labels`,
+      jarFor(cookie), csrfToken,
+      { comment, version }
+    );
+    if (res.status !== 200) {
+      throw { code: 'LABEL_FAILED', message: `Create label failed: ${res.status} ${res.body}` };
+    }
     return JSON.parse(res.body);
   },
 
+  async deleteLabel(params) {
+    const { cookie, csrfToken, projectId, labelId } = params;
+    if (!cookie || !csrfToken || !projectId || !labelId) {
+      throw { code: 'MISSING_PARAM', message: 'cookie, csrfToken, projectId, and labelId are required' };
+    }
+    const res = await auth.httpDelete(`${BASE_URL}/project/${projectId}/labels/${labelId}`, jarFor(cookie), csrfToken);
+    if (res.status !== 204 && res.status !== 200) {
+      throw { code: 'LABEL_FAILED', message: `Delete label failed: ${res.status}` };
+    }
+    return {};
+  },
+
+  /**
+   * Diff of a document between two history versions, as segments
+   * { type: 'unchanged' | 'insert' | 'delete', text, authors: [{ id, email, name }], startTs, endTs }.
+   * With `pathname` it uses the project history diff (versions are getHistory's fromV / toV);
+   * with `docId` the per-doc diff of older Overleaf versions.
+   * Returns { binary, segments } (no segments for binary files).
+   */
+  async getDiff(params) {
+    const { cookie, projectId, docId, pathname, from, to } = params;
+    if (!cookie || !projectId || !(docId || pathname) || from === undefined || to === undefined) {
+      throw { code: 'MISSING_PARAM', message: 'cookie, projectId, docId or pathname, from, and to are required' };
+    }
+    const search = new URLSearchParams({ from, to });
+    let url = `${BASE_URL}/project/${projectId}/doc/${docId}/diff?${search}`;
+    if (pathname) {
+      search.set('pathname', pathname.replace(/^\//, ''));
+      url = `${BASE_URL}/project/${projectId}/diff?${search}`;
+    }
+    const res = await auth.httpGet(url, jarFor(cookie), {
+      headers: { 'Accept': 'application/json' },
+    });
+    if (res.status !== 200) {
+      throw { code: 'DIFF_FAILED', message: `Diff request failed: ${res.status} ${res.body}` };
+    }
+    const diff = JSON.parse(res.body).diff;
+    if (diff && diff.binary) return { binary: true, segments: [] };
+    return { binary: false, segments: normalizeDiff(diff || []) };
+  },
+
+  /**
+   * Restore a file to its content at a history version (getHistory's toV).
+   * An existing doc at `pathname` is replaced by a new one: when connected,
+   * the socket then sends a docRestored event { oldDocId, newDocId, path }.
+   * Returns { entityId, entityType } of the restored entity.
+   */
+  async restoreFile(params) {
+    const { cookie, csrfToken, projectId, pathname, version } = params;
+    if (!cookie || !csrfToken || !projectId || !pathname || version === undefined) {
+      throw { code: 'MISSING_PARAM', message: 'cookie, csrfToken, projectId, pathname, and version are required' };
+    }
+    const res = await auth.httpPost(
+      `${BASE_URL}/project/${projectId}/restore_file`,
+      jarFor(cookie), csrfToken,
+      { version, pathname: pathname.replace(/^\//, '') }
+    );
+    if (res.status !== 200) {
+      throw { code: 'RESTORE_FAILED', message: `Restore failed: ${res.status} ${res.body}` };
+    }
+    const entity = JSON.parse(res.body);
+    return { entityId: entity.id, entityType: entity.type };
+  },
+
   async getThreads(params) {
     const { cookie, projectId } = params;
     if (!cookie || !projectId) {
@@ -304,7 +1316,7 @@ const handlers = {
     }
     const res = await auth.httpGet(
       `${BASE_URL}/project/${projectId}/threads`,
-      cookie
+      jarFor(cookie)
     );
     if (res.status !== 200) {
       throw { code: 'THREADS_FAILED', message: `Get threads failed: ${res.status}` };
@@ -319,7 +1331,7 @@ const handlers = {
     }
     const res = await auth.httpPost(
       `${BASE_URL}/project/${projectId}/thread/${threadId}/messages`,
-      cookie, csrfToken,
+      jarFor(cookie), csrfToken,
       { content }
     );
     if (res.status !== 200 && res.status !== 201 && res.status !== 204) {
@@ -336,7 +1348,7 @@ const handlers = {
     const url = docId
       ? `${BASE_URL}/project/${projectId}/doc/${docId}/thread/${threadId}/resolve`
       : `${BASE_URL}/project/${projectId}/thread/${threadId}/resolve`;
-    const res = await auth.httpPost(url, cookie, csrfToken, {});
+    const res = await auth.httpPost(url, jarFor(cookie), csrfToken, {});
     if (res.status < 200 || res.status >= 300) {
       throw { code: 'RESOLVE_FAILED', message: `Resolve thread failed: ${res.status}` };
     }
@@ -351,7 +1363,7 @@ const handlers = {
     const url = docId
       ? `${BASE_URL}/project/${projectId}/doc/${docId}/thread/${threadId}/reopen`
       : `${BASE_URL}/project/${projectId}/thread/${threadId}/reopen`;
-    const res = await auth.httpPost(url, cookie, csrfToken, {});
+    const res = await auth.httpPost(url, jarFor(cookie), csrfToken, {});
     if (res.status < 200 || res.status >= 300) {
       throw { code: 'REOPEN_FAILED', message: `Reopen thread failed: ${res.status}` };
     }
@@ -366,7 +1378,7 @@ const handlers = {
     const url = docId
       ? `${BASE_URL}/project/${projectId}/doc/${docId}/thread/${threadId}`
       : `${BASE_URL}/project/${projectId}/thread/${threadId}`;
-    const res = await auth.httpDelete(url, cookie, csrfToken);
+    const res = await auth.httpDelete(url, jarFor(cookie), csrfToken);
     if (res.status !== 200 && res.status !== 204) {
       throw { code: 'DELETE_FAILED', message: `Delete thread failed: ${res.status}` };
     }
@@ -416,6 +1428,7 @@ async function handleMessage(line) {
   } catch (err) {
     const code = err.code || 'INTERNAL_ERROR';
     const message = err.message || String(err);
+    if (code === 'AUTH_EXPIRED') reportSessionExpired(message);
     sendError(id, code, message);
   } finally {
     pendingRequests--;
@@ -4,162 +4,287 @@ const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
-const { execSync } = require('child_process');
+const { execSync, execFileSync } = require('child_process');
+const sqlite = require('./sqlite');
+const { SESSION_COOKIE, overleafHost, cookieHostKeys, withDatabaseCopy, formatCookies } = require('./cookie-source');
 
 /**
- * Extract Overleaf session cookie from Chrome on macOS.
- * Chrome encrypts cookies using AES-128-CBC with a key derived from
- * the Keychain password via PBKDF2.
+ * Extract Overleaf session cookie from Chrome / Chromium.
+ *
+ * macOS: cookies are encrypted using AES-128-CBC with a key derived from
+ * the Keychain password via PBKDF2 (1003 iterations).
+ *
+ * Linux: same cipher, but the key is derived with a single PBKDF2 iteration.
+ * 'v10' cookies use the hardcoded password 'peanuts'; 'v11' cookies use a
+ * random password stored in the desktop keyring (libsecret or KWallet).
  */
 
-const CHROME_BASE_DIR = path.join(
-  os.homedir(),
-  'Library/Application Support/Google/Chrome'
-);
+/**
+ * Chrome data directories for the current platform.
+ * On Linux both Google Chrome and Chromium are supported; profile dirs are
+ * reported as '<browser>/<profile>' (e.g. 'chromium/Default') to tell them apart.
+ */
+function chromeRoots() {
+  const platform = os.platform();
+
+  if (platform === 'darwin') {
+    return [{
+      prefix: '',
+      dir: path.join(os.homedir(), 'Library/Application Support/Google/Chrome'),
+      application: 'chrome',
+    }];
+  }
+
+  if (platform === 'linux') {
+    const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    return [
+      { prefix: 'google-chrome/', dir: path.join(configHome, 'google-chrome'), application: 'chrome' },
+      { prefix: 'chromium/', dir: path.join(configHome, 'chromium'), application: 'chromium' },
+    ];
+  }
+
+  throw { code: 'UNSUPPORTED', message: 'Chrome cookie extraction only supported on macOS and Linux' };
+}
 
 /**
  * List available Chrome profiles.
- * Returns array of { dir: 'Default', name: 'Person 1' }
+ * Returns array of { dir: 'Default', name: 'Person 1', email: '' }
  */
 function listProfiles() {
-  if (os.platform() !== 'darwin') {
-    throw { code: 'UNSUPPORTED', message: 'Chrome cookie extraction only supported on macOS' };
-  }
-
-  if (!fs.existsSync(CHROME_BASE_DIR)) {
+  const roots = chromeRoots().filter((root) => fs.existsSync(root.dir));
+  if (roots.length === 0) {
     throw { code: 'NOT_FOUND', message: 'Chrome data directory not found' };
   }
 
   const profiles = [];
-  const entries = fs.readdirSync(CHROME_BASE_DIR, { withFileTypes: true });
+  for (const root of roots) {
+    const entries = fs.readdirSync(root.dir, { withFileTypes: true });
 
-  for (const entry of entries) {
-    if (!entry.isDirectory()) continue;
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
 
-    // Chrome profiles are 'Default', 'Profile 1', 'Profile 2', etc.
-    if (entry.name !== 'Default' && !entry.name.startsWith('Profile ')) continue;
+      // Chrome profiles are 'Default', 'Profile 1', 'Profile 2', etc.
+      if (entry.name !== 'Default' && !entry.name.startsWith('Profile ')) continue;
 
-    const cookiesDb = path.join(CHROME_BASE_DIR, entry.name, 'Cookies');
-    if (!fs.existsSync(cookiesDb)) continue;
+      const cookiesDb = findCookiesDb(path.join(root.dir, entry.name));
+      if (!cookiesDb) continue;
 
-    let displayName = entry.name;
-    let email = '';
-    try {
-      const prefsPath = path.join(CHROME_BASE_DIR, entry.name, 'Preferences');
-      if (fs.existsSync(prefsPath)) {
-        const prefs = JSON.parse(fs.readFileSync(prefsPath, 'utf-8'));
-        // Try to get email from account_info
-        if (prefs.account_info && Array.isArray(prefs.account_info) && prefs.account_info[0]) {
-          email = prefs.account_info[0].email || '';
-        }
-        if (prefs.profile && prefs.profile.name) {
-          displayName = email || prefs.profile.name;
+      let displayName = entry.name;
+      let email = '';
+      try {
+        const prefsPath = path.join(root.dir, entry.name, 'Preferences');
+        if (fs.existsSync(prefsPath)) {
+          const prefs = JSON.parse(fs.readFileSync(prefsPath, 'utf-8'));
+          // Try to get email from account_info
+          if (prefs.account_info && Array.isArray(prefs.account_info) && prefs.account_info[0]) {
+            email = prefs.account_info[0].email || '';
+          }
+          if (prefs.profile && prefs.profile.name) {
+            displayName = email || prefs.profile.name;
+          }
         }
+      } catch (e) {
+        // Use directory name as fallback
       }
-    } catch (e) {
-      // Use directory name as fallback
-    }
 
-    profiles.push({ dir: entry.name, name: displayName, email });
+      profiles.push({ dir: root.prefix + entry.name, name: displayName, email });
+    }
   }
 
   return profiles;
 }
 
-function getEncryptionKey() {
-  const password = execSync(
-    'security find-generic-password -w -s "Chrome Safe Storage" -a "Chrome"',
-    { encoding: 'utf-8' }
-  ).trim();
-
-  return crypto.pbkdf2Sync(password, 'saltysalt', 1003, 16, 'sha1');
+/**
+ * Newer Chrome versions keep the cookie database under 'Network/'.
+ */
+function findCookiesDb(profilePath) {
+  for (const candidate of [path.join(profilePath, 'Network', 'Cookies'), path.join(profilePath, 'Cookies')]) {
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
 }
 
-function decryptCookieValue(encryptedValue, key) {
-  if (!encryptedValue || encryptedValue.length === 0) {
-    return '';
+/**
+ * Resolve a profile dir as returned by listProfiles() to its root and path.
+ * A bare profile name (e.g. 'Default') picks the first browser that has it.
+ */
+function resolveProfile(profileDir) {
+  const roots = chromeRoots();
+
+  for (const root of roots) {
+    let name = profileDir;
+    if (root.prefix) {
+      if (profileDir.includes('/')) {
+        if (!profileDir.startsWith(root.prefix)) continue;
+        name = profileDir.slice(root.prefix.length);
+      }
+    }
+    const cookiesDb = findCookiesDb(path.join(root.dir, name));
+    if (cookiesDb) return { root, cookiesDb };
   }
 
-  const prefix = encryptedValue.slice(0, 3).toString('utf-8');
-  if (prefix !== 'v10') {
-    return encryptedValue.toString('utf-8');
+  return null;
+}
+
+/**
+ * Read the Chrome Safe Storage password from the Linux desktop keyring.
+ * Tries libsecret (GNOME Keyring, KeePassXC, ...) first, then KWallet.
+ */
+function getLinuxKeyringPassword(application) {
+  const label = application === 'chromium' ? 'Chromium' : 'Chrome';
+  const commands = [
+    ['secret-tool', ['lookup', 'xdg:schema', 'chrome_libsecret_os_crypt_password_v2', 'application', application]],
+    ['secret-tool', ['lookup', 'xdg:schema', 'chrome_libsecret_os_crypt_password_v1', 'application', application]],
+    ['kwallet-query', ['-r', `${label} Safe Storage`, '-f', `${label} Keys`, 'kdewallet']],
+  ];
+
+  for (const [cmd, args] of commands) {
+    try {
+      const password = execFileSync(cmd, args, {
+        encoding: 'utf-8',
+        stdio: ['ignore', 'pipe', 'ignore'],
+      }).trim();
+      if (password) return password;
+    } catch (e) {
+      // Try next keyring backend
+    }
   }
 
-  const encrypted = encryptedValue.slice(3);
-  const iv = Buffer.alloc(16, ' ');
+  return null;
+}
 
-  const decipher = crypto.createDecipheriv('aes-128-cbc', key, iv);
-  let decrypted = decipher.update(encrypted);
-  decrypted = Buffer.concat([decrypted, decipher.final()]);
-  const raw = decrypted.toString('utf-8');
+/**
+ * Default key provider.
+ * @param {string} version - Encryption prefix ('v10' or 'v11')
+ * @param {string} application - 'chrome' or 'chromium'
+ * @returns {Buffer|null} 16-byte AES key, or null if unavailable
+ */
+function defaultKeyProvider(version, application) {
+  if (os.platform() === 'darwin') {
+    const password = execSync(
+      'security find-generic-password -w -s "Chrome Safe Storage" -a "Chrome"',
+      { encoding: 'utf-8' }
+    ).trim();
+    return crypto.pbkdf2Sync(password, 'saltysalt', 1003, 16, 'sha1');
+  }
 
-  // Chrome's CBC decryption may produce garbage in the first block
-  // due to IV mismatch on newer versions. Overleaf session cookies
-  // always contain 's%3A' (URL-encoded 's:' Express session prefix).
-  const idx = raw.indexOf('s%3A');
-  if (idx >= 0) {
-    return raw.substring(idx);
+  if (version === 'v10') {
+    return crypto.pbkdf2Sync('peanuts', 'saltysalt', 1, 16, 'sha1');
   }
 
-  return raw;
+  const password = getLinuxKeyringPassword(application);
+  if (password === null) return null;
+  return crypto.pbkdf2Sync(password, 'saltysalt', 1, 16, 'sha1');
 }
 
 /**
- * Extract Overleaf cookie from a specific Chrome profile.
- * @param {string} profileDir - Profile directory name (e.g. 'Default', 'Profile 1')
+ * Decrypt a Chrome cookie value.
+ * @param {Buffer} encryptedValue - Raw encrypted_value column
+ * @param {function(string): Buffer|null} getKey - Returns the key for a 'v10'/'v11' prefix
+ * @param {string} [hostKey] - Cookie host_key, used to strip the integrity prefix
  */
-async function getOverleafCookie(profileDir) {
-  profileDir = profileDir || 'Default';
-
-  if (os.platform() !== 'darwin') {
-    throw { code: 'UNSUPPORTED', message: 'Chrome cookie extraction only supported on macOS' };
+function decryptCookieValue(encryptedValue, getKey, hostKey) {
+  if (!encryptedValue || encryptedValue.length === 0) {
+    return '';
   }
 
-  const cookiesDb = path.join(CHROME_BASE_DIR, profileDir, 'Cookies');
-  if (!fs.existsSync(cookiesDb)) {
-    throw { code: 'NOT_FOUND', message: `Chrome Cookies database not found for profile: ${profileDir}` };
+  const prefix = encryptedValue.slice(0, 3).toString('utf-8');
+  if (prefix !== 'v10' && prefix !== 'v11') {
+    return encryptedValue.toString('utf-8');
   }
 
-  const key = getEncryptionKey();
+  const key = getKey(prefix);
+  if (!key) {
+    throw { code: 'DECRYPT_FAILED', message: `No decryption key available for ${prefix} cookies (is the keyring unlocked?)` };
+  }
 
-  const tmpDb = path.join(os.tmpdir(), 'overleaf_chrome_cookies_' + process.pid + '.db');
-  fs.copyFileSync(cookiesDb, tmpDb);
+  const encrypted = encryptedValue.slice(3);
+  const iv = Buffer.alloc(16, ' ');
 
+  let decrypted;
   try {
-    // Extract domain from OVERLEAF_URL for self-hosted instances
-    let cookieDomain = 'overleaf.com';
-    if (process.env.OVERLEAF_URL) {
-      try {
-        const parsedUrl = new URL(process.env.OVERLEAF_URL);
-        cookieDomain = parsedUrl.hostname;
-      } catch (e) { /* keep default */ }
-    }
-    const query = `SELECT name, hex(encrypted_value) FROM cookies WHERE host_key LIKE '%${cookieDomain}' AND name = 'overleaf_session2' ORDER BY expires_utc DESC LIMIT 1;`;
-    const result = execSync(
-      `sqlite3 "${tmpDb}" "${query}"`,
-      { encoding: 'utf-8' }
-    ).trim();
+    const decipher = crypto.createDecipheriv('aes-128-cbc', key, iv);
+    decrypted = Buffer.concat([decipher.update(encrypted), decipher.final()]);
+  } catch (e) {
+    // Bad padding: the key does not match
+    throw { code: 'DECRYPT_FAILED', message: `Failed to decrypt ${prefix} cookie: wrong key` };
+  }
 
-    if (!result) {
-      throw { code: 'NO_COOKIE', message: 'No overleaf_session2 cookie found in Chrome. Log in to overleaf.com in Chrome first.' };
+  // Chrome 130+ (cookie DB version 24) prepends SHA-256(host_key) to the
+  // plaintext to bind the value to its domain.
+  if (hostKey && decrypted.length >= 32) {
+    const digest = crypto.createHash('sha256').update(hostKey).digest();
+    if (decrypted.subarray(0, 32).equals(digest)) {
+      decrypted = decrypted.subarray(32);
     }
+  }
 
-    const [name, hexValue] = result.split('|');
-    if (!hexValue) {
-      throw { code: 'NO_COOKIE', message: 'Cookie value is empty' };
-    }
+  return decrypted.toString('utf-8');
+}
+
+/**
+ * Chrome stores expiry as microseconds since 1601-01-01 (0 = session cookie).
+ */
+function chromeTimeToUnixMs(expiresUtc) {
+  if (!expiresUtc) return 0;
+  return Math.floor(expiresUtc / 1000) - 11644473600000;
+}
 
-    const encryptedValue = Buffer.from(hexValue, 'hex');
-    const value = decryptCookieValue(encryptedValue, key);
+/**
+ * Extract Overleaf cookies from a specific Chrome profile.
+ * Returns every cookie Chrome would send to the Overleaf host
+ * (session, load balancer, SSO, ...) as a Cookie header value.
+ * @param {string} profileDir - Profile directory as returned by listProfiles() (e.g. 'Default', 'chromium/Profile 1')
+ * @param {object} [options]
+ * @param {function(string, string): Buffer|null} [options.keyProvider] - Override key lookup (version, application)
+ */
+async function getOverleafCookie(profileDir, options) {
+  profileDir = profileDir || 'Default';
+  const keyProvider = (options && options.keyProvider) || defaultKeyProvider;
 
-    if (!value || !value.startsWith('s%3A')) {
-      throw { code: 'DECRYPT_FAILED', message: 'Failed to decrypt cookie. Try setting cookie manually.' };
+  const profile = resolveProfile(profileDir);
+  if (!profile) {
+    throw { code: 'NOT_FOUND', message: `Chrome Cookies database not found for profile: ${profileDir}` };
+  }
+
+  const keys = {};
+  const getKey = (version) => {
+    if (!(version in keys)) {
+      keys[version] = keyProvider(version, profile.root.application);
     }
+    return keys[version];
+  };
+
+  const host = overleafHost();
+  const rows = withDatabaseCopy(profile.cookiesDb, (dbPath) => sqlite.select(
+    dbPath,
+    'cookies',
+    ['host_key', 'name', 'value', 'encrypted_value', 'expires_utc'],
+    { host_key: cookieHostKeys(host) }
+  ));
+
+  const cookies = rows.map((row) => ({
+    name: row.name,
+    value: row.encrypted_value && row.encrypted_value.length > 0
+      ? decryptCookieValue(row.encrypted_value, getKey, row.host_key)
+      : row.value || '',
+    host: row.host_key,
+    expires: chromeTimeToUnixMs(row.expires_utc),
+  }));
+
+  const session = cookies.find((c) => c.name === SESSION_COOKIE);
+  if (!session) {
+    throw { code: 'NO_COOKIE', message: `No ${SESSION_COOKIE} cookie found in Chrome. Log in to ${host} in Chrome first.` };
+  }
+  if (!session.value.startsWith('s%3A')) {
+    throw { code: 'DECRYPT_FAILED', message: 'Failed to decrypt cookie. Try setting cookie manually.' };
+  }
 
-    return `${name}=${value}`;
-  } finally {
-    try { fs.unlinkSync(tmpDb); } catch (e) { /* ignore */ }
+  const cookie = formatCookies(cookies, host);
+  if (!cookie.includes(SESSION_COOKIE + '=')) {
+    throw { code: 'NO_COOKIE', message: `${SESSION_COOKIE} cookie in Chrome has expired. Log in to ${host} again.` };
   }
+  return cookie;
 }
 
-module.exports = { getOverleafCookie, listProfiles };
+module.exports = { getOverleafCookie, listProfiles, decryptCookieValue };
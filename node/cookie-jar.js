@@ -0,0 +1,196 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+const BASE_URL = process.env.OVERLEAF_URL || 'https://www.overleaf.com';
+
+/**
+ * Cookie jar shared by every HTTP request and the Socket.IO connection.
+ *
+ * Set-Cookie responses are merged by name/domain/path, so rotated session
+ * cookies and load balancer cookies (GCLB) replace earlier values instead of
+ * being appended. Emits 'cookieUpdated' (cookieString) whenever a stored
+ * value changes, so the editor can persist the refreshed session.
+ *
+ * Cookies seeded from a plain "a=b; c=d" string have unknown domain/path;
+ * the first Set-Cookie with the same name replaces them.
+ */
+class CookieJar extends EventEmitter {
+  /**
+   * @param {string} [cookie] - Initial Cookie header value
+   * @param {string} [url] - URL the initial cookies belong to (default: OVERLEAF_URL)
+   */
+  constructor(cookie, url) {
+    super();
+    this.cookies = []; // { name, value, domain, path, hostOnly, secure, expires, seeded }
+
+    const host = new URL(url || BASE_URL).hostname;
+    for (const part of (cookie || '').split(';')) {
+      const eq = part.indexOf('=');
+      if (eq <= 0) continue;
+      this._store({
+        name: part.slice(0, eq).trim(),
+        value: part.slice(eq + 1).trim(),
+        domain: host,
+        path: '/',
+        hostOnly: true,
+        secure: false,
+        expires: null,
+        seeded: true,
+      });
+    }
+  }
+
+  /**
+   * Use an existing jar as-is, or wrap a cookie string in a new one.
+   * @param {CookieJar|string} cookie
+   */
+  static from(cookie) {
+    return cookie instanceof CookieJar ? cookie : new CookieJar(cookie);
+  }
+
+  /**
+   * Merge Set-Cookie response headers.
+   * @param {string|string[]|undefined} setCookie - res.headers['set-cookie']
+   * @param {string} url - Request URL the response came from
+   * @returns {boolean} Whether any stored value changed
+   */
+  setCookies(setCookie, url) {
+    const headers = Array.isArray(setCookie) ? setCookie : setCookie ? [setCookie] : [];
+    if (headers.length === 0) return false;
+
+    const parsedUrl = new URL(url);
+    let changed = false;
+    for (const header of headers) {
+      const cookie = parseSetCookie(header, parsedUrl);
+      if (cookie && this._store(cookie)) changed = true;
+    }
+
+    if (changed) this.emit('cookieUpdated', this.toString());
+    return changed;
+  }
+
+  _store(cookie) {
+    const existing = this.cookies.findIndex((c) =>
+      c.name === cookie.name &&
+      (c.seeded ? domainMatches(cookie.domain, c.domain) || domainMatches(c.domain, cookie.domain)
+        : c.domain === cookie.domain && c.path === cookie.path)
+    );
+
+    // Expires in the past / Max-Age=0 deletes the cookie
+    if (cookie.expires !== null && cookie.expires <= Date.now()) {
+      if (existing < 0) return false;
+      this.cookies.splice(existing, 1);
+      return true;
+    }
+
+    if (existing < 0) {
+      this.cookies.push(cookie);
+      return true;
+    }
+
+    const changed = this.cookies[existing].value !== cookie.value;
+    this.cookies[existing] = cookie;
+    return changed;
+  }
+
+  /**
+   * Cookie header value for a request to `url`.
+   * @param {string} url - http(s):// or ws(s):// URL
+   */
+  getCookieHeader(url) {
+    const parsed = new URL(url);
+    const host = parsed.hostname;
+    const secure = parsed.protocol === 'https:' || parsed.protocol === 'wss:';
+    const now = Date.now();
+
+    return this.cookies
+      .filter((c) =>
+        (c.hostOnly ? c.domain === host : domainMatches(host, c.domain)) &&
+        pathMatches(parsed.pathname, c.path) &&
+        (!c.secure || secure) &&
+        (c.expires === null || c.expires > now)
+      )
+      // More specific paths first (RFC 6265 5.4)
+      .sort((a, b) => b.path.length - a.path.length)
+      .map((c) => `${c.name}=${c.value}`)
+      .join('; ');
+  }
+
+  /**
+   * Cookie string for the Overleaf instance (what the editor should persist).
+   */
+  toString() {
+    return this.getCookieHeader(BASE_URL);
+  }
+}
+
+function domainMatches(host, domain) {
+  return host === domain || host.endsWith('.' + domain);
+}
+
+function pathMatches(requestPath, cookiePath) {
+  if (requestPath === cookiePath) return true;
+  if (!requestPath.startsWith(cookiePath)) return false;
+  return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+}
+
+/**
+ * Parse one Set-Cookie header (RFC 6265 section 5.2).
+ * @returns {object|null} Cookie, or null if it must be ignored
+ */
+function parseSetCookie(header, url) {
+  const [nameValue, ...attributes] = header.split(';');
+  const eq = nameValue.indexOf('=');
+  if (eq <= 0) return null;
+
+  const cookie = {
+    name: nameValue.slice(0, eq).trim(),
+    value: nameValue.slice(eq + 1).trim(),
+    domain: url.hostname,
+    path: defaultPath(url.pathname),
+    hostOnly: true,
+    secure: false,
+    expires: null,
+    seeded: false,
+  };
+
+  let maxAge = null;
+  for (const attribute of attributes) {
+    const sep = attribute.indexOf('=');
+    const key = (sep >= 0 ? attribute.slice(0, sep) : attribute).trim().toLowerCase();
+    const value = sep >= 0 ? attribute.slice(sep + 1).trim() : '';
+
+    if (key === 'domain' && value) {
+      const domain = value.replace(/^\./, '').toLowerCase();
+      // Reject cookies for domains the response host does not belong to
+      if (!domainMatches(url.hostname, domain)) return null;
+      cookie.domain = domain;
+      cookie.hostOnly = false;
+    } else if (key === 'path' && value.startsWith('/')) {
+      cookie.path = value;
+    } else if (key === 'secure') {
+      cookie.secure = true;
+    } else if (key === 'max-age' && /^-?\d+$/.test(value)) {
+      maxAge = parseInt(value, 10);
+    } else if (key === 'expires') {
+      const time = Date.parse(value);
+      if (!isNaN(time)) cookie.expires = time;
+    }
+  }
+
+  // Max-Age takes precedence over Expires
+  if (maxAge !== null) {
+    cookie.expires = maxAge <= 0 ? 0 : Date.now() + maxAge * 1000;
+  }
+
+  return cookie;
+}
+
+function defaultPath(pathname) {
+  if (!pathname.startsWith('/')) return '/';
+  const lastSlash = pathname.lastIndexOf('/');
+  return lastSlash <= 0 ? '/' : pathname.slice(0, lastSlash);
+}
+
+module.exports = CookieJar;
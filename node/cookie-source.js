@@ -0,0 +1,96 @@
+'use strict';
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Helpers shared by the browser cookie sources (chrome-cookie.js, firefox-cookie.js).
+ */
+
+const SESSION_COOKIE = 'overleaf_session2';
+
+/**
+ * Host of the Overleaf instance (OVERLEAF_URL for self-hosted instances).
+ */
+function overleafHost() {
+  if (process.env.OVERLEAF_URL) {
+    try {
+      return new URL(process.env.OVERLEAF_URL).hostname;
+    } catch (e) { /* keep default */ }
+  }
+  return 'www.overleaf.com';
+}
+
+/**
+ * Cookie store host keys that apply to requests for `host`:
+ * the host itself (host-only cookies) plus '.'-prefixed parent domains.
+ * 'www.overleaf.com' -> ['www.overleaf.com', '.www.overleaf.com', '.overleaf.com']
+ */
+function cookieHostKeys(host) {
+  const keys = [host];
+  if (net.isIP(host)) return keys;
+
+  const labels = host.split('.');
+  const last = Math.max(labels.length - 1, 1); // never the bare TLD
+  for (let i = 0; i < last; i++) {
+    keys.push('.' + labels.slice(i).join('.'));
+  }
+  return keys;
+}
+
+/**
+ * Copy a browser database (and its WAL) to a private temp dir and run fn on it.
+ * Browsers keep their databases locked while running.
+ */
+function withDatabaseCopy(dbPath, fn) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'overleaf_cookies_'));
+  const tmpDb = path.join(tmpDir, path.basename(dbPath));
+  try {
+    fs.copyFileSync(dbPath, tmpDb);
+    if (fs.existsSync(dbPath + '-wal')) {
+      fs.copyFileSync(dbPath + '-wal', tmpDb + '-wal');
+    }
+    return fn(tmpDb);
+  } finally {
+    try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch (e) { /* ignore */ }
+  }
+}
+
+/**
+ * Build a Cookie header value from stored cookies.
+ * Expired cookies are dropped; for duplicate names the host-only cookie wins,
+ * then the one expiring last. The session cookie is listed first.
+ * @param {Array<{name: string, value: string, host: string, expires: number}>} cookies
+ *   expires is a Unix timestamp in ms, or 0 for session cookies
+ * @param {string} host - Request host (to recognise host-only cookies)
+ */
+function formatCookies(cookies, host) {
+  const now = Date.now();
+  const byName = new Map();
+
+  for (const cookie of cookies) {
+    if (cookie.expires && cookie.expires < now) continue;
+
+    const existing = byName.get(cookie.name);
+    if (existing) {
+      const hostOnly = cookie.host === host;
+      const existingHostOnly = existing.host === host;
+      if (existingHostOnly && !hostOnly) continue;
+      if (hostOnly === existingHostOnly && expiryRank(existing) >= expiryRank(cookie)) continue;
+    }
+    byName.set(cookie.name, cookie);
+  }
+
+  return [...byName.values()]
+    .sort((a, b) => (b.name === SESSION_COOKIE) - (a.name === SESSION_COOKIE) || a.name.localeCompare(b.name))
+    .map((c) => `${c.name}=${c.value}`)
+    .join('; ');
+}
+
+function expiryRank(cookie) {
+  return cookie.expires || Infinity;
+}
+
+module.exports = { SESSION_COOKIE, overleafHost, cookieHostKeys, withDatabaseCopy, formatCookies };
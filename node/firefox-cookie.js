@@ -0,0 +1,154 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const sqlite = require('./sqlite');
+const { SESSION_COOKIE, overleafHost, cookieHostKeys, withDatabaseCopy, formatCookies } = require('./cookie-source');
+
+/**
+ * Extract Overleaf session cookie from Firefox.
+ * Firefox stores cookies unencrypted in <profile>/cookies.sqlite;
+ * profiles are enumerated from profiles.ini.
+ */
+
+/**
+ * Firefox data directories for the current platform (first existing wins).
+ */
+function firefoxRoots() {
+  const home = os.homedir();
+  const platform = os.platform();
+
+  if (platform === 'darwin') {
+    return [path.join(home, 'Library/Application Support/Firefox')];
+  }
+
+  if (platform === 'linux') {
+    return [
+      path.join(home, '.mozilla/firefox'),
+      // Ubuntu ships Firefox as a snap
+      path.join(home, 'snap/firefox/common/.mozilla/firefox'),
+    ];
+  }
+
+  throw { code: 'UNSUPPORTED', message: 'Firefox cookie extraction only supported on macOS and Linux' };
+}
+
+function findRoot() {
+  const root = firefoxRoots().find((dir) => fs.existsSync(path.join(dir, 'profiles.ini')));
+  if (!root) {
+    throw { code: 'NOT_FOUND', message: 'Firefox profiles.ini not found' };
+  }
+  return root;
+}
+
+/**
+ * Parse an INI file into { sectionName: { key: value } }.
+ */
+function parseIni(text) {
+  const sections = {};
+  let current = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith(';') || line.startsWith('#')) continue;
+
+    const header = line.match(/^\[(.+)\]$/);
+    if (header) {
+      current = sections[header[1]] = {};
+      continue;
+    }
+
+    const eq = line.indexOf('=');
+    if (current && eq > 0) {
+      current[line.slice(0, eq).trim()] = line.slice(eq + 1).trim();
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * List available Firefox profiles.
+ * Returns array of { dir: 'abc123.default-release', name: 'default-release', email: '' }
+ * with the default profile first.
+ */
+function listProfiles() {
+  const root = findRoot();
+  const ini = parseIni(fs.readFileSync(path.join(root, 'profiles.ini'), 'utf-8'));
+
+  // [Install<hash>] Default= is the profile actually used by the installed Firefox;
+  // [ProfileN] Default=1 is the legacy marker.
+  const installDefaults = new Set(
+    Object.keys(ini)
+      .filter((section) => section.startsWith('Install') && ini[section].Default)
+      .map((section) => ini[section].Default)
+  );
+
+  const profiles = [];
+  for (const [section, entry] of Object.entries(ini)) {
+    if (!section.startsWith('Profile') || !entry.Path) continue;
+
+    const profilePath = entry.IsRelative === '0' ? entry.Path : path.join(root, entry.Path);
+    if (!fs.existsSync(path.join(profilePath, 'cookies.sqlite'))) continue;
+
+    const rank = installDefaults.has(entry.Path) ? 0 : entry.Default === '1' ? 1 : 2;
+    profiles.push({ dir: entry.Path, name: entry.Name || entry.Path, email: '', rank });
+  }
+
+  profiles.sort((a, b) => a.rank - b.rank);
+  return profiles.map(({ dir, name, email }) => ({ dir, name, email }));
+}
+
+/**
+ * Firefox stores expiry in seconds; newer versions use milliseconds.
+ */
+function firefoxTimeToUnixMs(expiry) {
+  if (!expiry) return 0;
+  return expiry > 1e11 ? expiry : expiry * 1000;
+}
+
+/**
+ * Extract Overleaf cookies from a specific Firefox profile.
+ * Returns every cookie Firefox would send to the Overleaf host as a Cookie header value.
+ * @param {string} profileDir - Profile path from profiles.ini (relative to the Firefox root, or absolute)
+ */
+async function getOverleafCookie(profileDir) {
+  if (!profileDir) {
+    const profiles = listProfiles();
+    if (profiles.length === 0) {
+      throw { code: 'NOT_FOUND', message: 'No Firefox profile with cookies found' };
+    }
+    profileDir = profiles[0].dir;
+  }
+
+  const profilePath = path.isAbsolute(profileDir) ? profileDir : path.join(findRoot(), profileDir);
+  const cookiesDb = path.join(profilePath, 'cookies.sqlite');
+  if (!fs.existsSync(cookiesDb)) {
+    throw { code: 'NOT_FOUND', message: `Firefox cookies.sqlite not found for profile: ${profileDir}` };
+  }
+
+  const host = overleafHost();
+  const rows = withDatabaseCopy(cookiesDb, (dbPath) => sqlite.select(
+    dbPath,
+    'moz_cookies',
+    ['host', 'name', 'value', 'expiry', 'originAttributes'],
+    { host: cookieHostKeys(host) }
+  ));
+
+  // Ignore container tabs / partitioned storage: only the default cookie jar
+  const cookies = rows.filter((row) => !row.originAttributes).map((row) => ({
+    name: row.name,
+    value: row.value || '',
+    host: row.host,
+    expires: firefoxTimeToUnixMs(row.expiry),
+  }));
+
+  const cookie = formatCookies(cookies, host);
+  if (!cookie.includes(SESSION_COOKIE + '=')) {
+    throw { code: 'NO_COOKIE', message: `No ${SESSION_COOKIE} cookie found in Firefox. Log in to ${host} in Firefox first.` };
+  }
+  return cookie;
+}
+
+module.exports = { getOverleafCookie, listProfiles, parseIni };
@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Glob patterns for "/"-separated relative paths:
+ *   *      any characters except "/"
+ *   **     any number of directories, e.g. "figures/**"
+ *   ?      one character except "/"
+ *   [abc]  character class ([!abc] negated)
+ *   {a,b}  alternatives
+ * Like .gitignore, a pattern without "/" matches the name at any depth,
+ * a leading "/" or "./" anchors it to the top directory and a trailing "/"
+ * is ignored. Wrap special characters in a class to match them literally: "[[]".
+ */
+
+const cache = new Map();
+
+function toRegExp(pattern) {
+  let re = '';
+  let braces = 0;
+  let i = 0;
+  while (i < pattern.length) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      // "**/" is zero or more directories, any other "**" anything at all
+      i += 2;
+      if (pattern[i] === '/') {
+        re += '(?:.*/)?';
+        i++;
+      } else {
+        re += '.*';
+      }
+      continue;
+    }
+    const end = c === '[' ? pattern.indexOf(']', i + 2) : -1;
+    if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (end > 0) {
+      const set = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+      re += set[0] === '!' ? `[^${set.slice(1)}]` : `[${set}]`;
+      i = end;
+    } else if (c === '{') {
+      braces++;
+      re += '(?:';
+    } else if (c === '}' && braces > 0) {
+      braces--;
+      re += ')';
+    } else if (c === ',' && braces > 0) {
+      re += '|';
+    } else {
+      re += c.replace(/[.+^$()[\]{}|\\]/g, '\\$&');
+    }
+    i++;
+  }
+  return new RegExp(`^${re}$`);
+}
+
+function compile(pattern) {
+  if (!cache.has(pattern)) {
+    const anchored = /^\.?\//.test(pattern);
+    const normalized = pattern.replace(/^\.?\//, '').replace(/\/+$/, '');
+    cache.set(pattern, { regexp: toRegExp(normalized), anyDepth: !anchored && !normalized.includes('/') });
+  }
+  return cache.get(pattern);
+}
+
+/**
+ * Whether `relPath` matches any of `patterns`.
+ * @param {string} relPath - "/"-separated path, no leading "/"
+ * @param {string[]} patterns
+ */
+function matchesAny(relPath, patterns) {
+  const name = relPath.slice(relPath.lastIndexOf('/') + 1);
+  return patterns.some((pattern) => {
+    const { regexp, anyDepth } = compile(pattern);
+    return regexp.test(anyDepth ? name : relPath);
+  });
+}
+
+module.exports = { matchesAny };
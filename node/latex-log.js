@@ -0,0 +1,173 @@
+'use strict';
+
+/**
+ * Parse a TeX engine log (pdflatex, xelatex, lualatex) into diagnostics.
+ *
+ * Each entry is { file, line, severity, message, raw }:
+ *   - file: source file TeX was reading ("./" stripped), or null
+ *   - line: 1-based input line, or null
+ *   - severity: 'error' | 'warning' | 'typesetting' (over/underfull boxes)
+ *   - message: one-line message
+ *   - raw: the log lines the entry was parsed from
+ *
+ * The current file is tracked with TeX's "(file ... )" notation in the log.
+ * Lines are unwrapped first: TeX breaks log lines at max_print_line (79).
+ */
+
+const MAX_PRINT_LINE = 79;
+
+// "./main.tex:12: Undefined control sequence." (-file-line-error)
+const FILE_LINE_ERROR = /^(\S.*?\.[A-Za-z]\w*):(\d+): (.*)$/;
+// "LaTeX Warning: ...", "Package natbib Warning: ...", "Class foo Warning: ...", "LaTeX Font Warning: ..."
+const LATEX_WARNING = /^((?:LaTeX|Package|Class|Module)(?: [\w.-]+)?|LaTeX Font) Warning: (.*)$/;
+// "pdfTeX warning (ext4): ...", often printed after page markers: "[1] [2]pdfTeX warning ..."
+const PDFTEX_WARNING = /pdfTeX warning(?: \([^)]*\))?: (.*)$/;
+// "Overfull \hbox (12.3pt too wide) in paragraph at lines 10--12"
+const BAD_BOX = /^(Over|Under)full \\[hv]box \(.*?\)/;
+// "(hyperref)                removing `math shift' on input line 15."
+const CONTINUATION = /^\([\w.-]+\)\s{2,}(.*)$/;
+// File name after "(": "./main.tex", "/usr/.../article.cls", "\"./my file.tex\"" (xetex quotes names)
+const FILE_NAME = /^(?:"([^"]+)"|((?:[A-Za-z]:)?[^\s()"]*\.[A-Za-z][\w-]*)(?=[\s()]|$))/;
+
+/**
+ * Join lines TeX broke at max_print_line. pdfTeX counts bytes, XeTeX and
+ * LuaTeX count characters, so either length marks a wrapped line.
+ */
+function unwrapLines(log) {
+  const lines = log.split(/\r?\n/);
+  const result = [];
+  let current = null;
+  for (const line of lines) {
+    current = current === null ? line : current + line;
+    if (line.length === MAX_PRINT_LINE || Buffer.byteLength(line) === MAX_PRINT_LINE) continue;
+    result.push(current);
+    current = null;
+  }
+  if (current !== null) result.push(current);
+  return result;
+}
+
+function normalizeFile(file) {
+  return file ? file.replace(/^\.\//, '') : null;
+}
+
+function inputLine(message) {
+  const m = message.match(/on input line (\d+)/) || message.match(/at lines? (\d+)/);
+  return m ? parseInt(m[1], 10) : null;
+}
+
+/**
+ * @param {string} log - Contents of output.log
+ * @returns {Array<{file: string|null, line: number|null, severity: string, message: string, raw: string}>}
+ */
+function parseLog(log) {
+  const lines = unwrapLines(log || '');
+  const diagnostics = [];
+  // Open "(" groups: a file name, or null for parentheses in ordinary text
+  const stack = [];
+
+  const currentFile = () => {
+    for (let i = stack.length - 1; i >= 0; i--) {
+      if (stack[i]) return normalizeFile(stack[i]);
+    }
+    return null;
+  };
+
+  const trackFiles = (line) => {
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '(') {
+        const m = line.slice(i + 1).match(FILE_NAME);
+        stack.push(m ? m[1] || m[2] : null);
+        if (m) i += m[0].length;
+      } else if (line[i] === ')') {
+        stack.pop();
+      }
+    }
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    let m;
+
+    if (line.startsWith('! ') || (m = line.match(FILE_LINE_ERROR))) {
+      // Error: message, then TeX's context ending with "l.<line> ..." and its continuation
+      const end = errorEnd(lines, i);
+      const raw = lines.slice(i, end);
+      const context = raw.map((l) => l.match(/^l\.(\d+)/)).find(Boolean);
+      diagnostics.push({
+        file: m ? normalizeFile(m[1]) : currentFile(),
+        line: m ? parseInt(m[2], 10) : context ? parseInt(context[1], 10) : null,
+        severity: 'error',
+        message: m ? m[3] : line.slice(2),
+        raw: raw.join('\n'),
+      });
+      i = end;
+      continue;
+    }
+
+    if ((m = line.match(LATEX_WARNING) || line.match(PDFTEX_WARNING))) {
+      // Multi-line warnings continue on lines prefixed with "(package)"
+      trackFiles(line.slice(0, m.index));
+      let message = m[m.length - 1];
+      let end = i + 1;
+      let cont;
+      while (end < lines.length && (cont = lines[end].match(CONTINUATION))) {
+        message += ' ' + cont[1];
+        end++;
+      }
+      diagnostics.push({
+        file: currentFile(),
+        line: inputLine(message),
+        severity: 'warning',
+        message: message.trim(),
+        raw: lines.slice(i, end).join('\n'),
+      });
+      i = end;
+      continue;
+    }
+
+    if (BAD_BOX.test(line)) {
+      // Boxes in paragraphs/alignments are followed by the offending material up to a blank line
+      let end = i + 1;
+      if (/ at lines? \d+/.test(line)) {
+        while (end < lines.length && lines[end].trim() !== '') end++;
+      }
+      diagnostics.push({
+        file: currentFile(),
+        line: inputLine(line),
+        severity: 'typesetting',
+        message: line.replace(/\s*\[\]\s*$/, ''),
+        raw: lines.slice(i, end).join('\n'),
+      });
+      i = end;
+      continue;
+    }
+
+    trackFiles(line);
+    i++;
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Index after an error block starting at `start`. Its context ends with the
+ * "l.<n> ..." line and the rest of that input line, followed by the help text
+ * up to a blank line. Errors without that context end at a blank line.
+ */
+function errorEnd(lines, start) {
+  for (let j = start + 1; j < lines.length && j < start + 20; j++) {
+    if (/^l\.\d+/.test(lines[j])) {
+      let end = Math.min(j + 2, lines.length);
+      while (end < lines.length && lines[end].trim() !== '') end++;
+      return end;
+    }
+    if (lines[j].startsWith('! ') || FILE_LINE_ERROR.test(lines[j])) return j;
+  }
+  let end = start + 1;
+  while (end < lines.length && lines[end].trim() !== '' && !lines[end].startsWith('! ')) end++;
+  return end;
+}
+
+module.exports = { parseLog, unwrapLines };
@@ -1,10 +1,13 @@
 'use strict';
 
 const crypto = require('crypto');
+const auth = require('./auth');
 
 // Monkey-patch socket.io-client v0.9 to support extraHeaders in Node.js.
 // The stock v0.9 client does not send Cookie/Origin headers in its
 // handshake (xmlhttprequest blocks Cookie) or WebSocket transport.
+// With options.cookieJar, cookies come from the jar and the handshake's
+// Set-Cookie (e.g. a refreshed GCLB) is stored back into it.
 (function patchSocketIO() {
   const io = require('socket.io-client');
 
@@ -26,14 +29,22 @@ const crypto = require('crypto');
     const fullUrl = queryStr ? handshakeUrl + '&' + queryStr : handshakeUrl;
     const parsed = new (require('url').URL)(fullUrl);
 
+    const headers = Object.assign({}, extraHeaders);
+    if (options.cookieJar) {
+      headers['Cookie'] = options.cookieJar.getCookieHeader(fullUrl);
+    }
+
     const httpModule = parsed.protocol === 'http:' ? require('http') : require('https');
     const req = httpModule.request({
       hostname: parsed.hostname,
       port: parsed.port || (parsed.protocol === 'http:' ? 80 : 443),
       path: parsed.pathname + parsed.search,
       method: 'GET',
-      headers: Object.assign({}, extraHeaders),
+      headers,
     }, (res) => {
+      if (options.cookieJar) {
+        options.cookieJar.setCookies(res.headers['set-cookie'], fullUrl);
+      }
       let body = '';
       res.on('data', (chunk) => { body += chunk; });
       res.on('end', () => {
@@ -41,7 +52,16 @@ const crypto = require('crypto');
           fn.apply(null, body.split(':'));
         } else {
           self.connecting = false;
-          self.onError(new Error('Handshake failed: ' + res.statusCode));
+          const err = new Error('Handshake failed: ' + res.statusCode);
+          if (auth.isAuthExpired({ status: res.statusCode, headers: res.headers })) err.code = 'AUTH_EXPIRED';
+          if (res.statusCode !== 403) {
+            self.onError(err);
+            return;
+          }
+          auth.isSessionGone(options.cookieJar || headers['Cookie'] || '').then((gone) => {
+            if (gone) err.code = 'AUTH_EXPIRED';
+            self.onError(err);
+          });
         }
       });
     });
@@ -52,13 +72,20 @@ const crypto = require('crypto');
 
   // 2. Replace WebSocket open to pass extraHeaders
   io.Transport.websocket.prototype.open = function () {
-    const query = io.util.query(this.socket.options.query);
+    const options = this.socket.options;
+    const query = io.util.query(options.query);
+    const url = this.prepareUrl() + query;
     const WS = require('ws');
     const wsOpts = {};
-    if (this.socket.options.extraHeaders) {
-      wsOpts.headers = this.socket.options.extraHeaders;
+    if (options.extraHeaders) {
+      wsOpts.headers = Object.assign({}, options.extraHeaders);
     }
-    this.websocket = new WS(this.prepareUrl() + query, wsOpts);
+    if (options.cookieJar) {
+      wsOpts.headers = Object.assign(wsOpts.headers || {}, {
+        'Cookie': options.cookieJar.getCookieHeader(url),
+      });
+    }
+    this.websocket = new WS(url, wsOpts);
 
     const self = this;
     this.websocket.onopen = function () { self.onOpen(); self.socket.setBuffer(false); };
@@ -69,13 +96,92 @@ const crypto = require('crypto');
   };
 })();
 
+/**
+ * Exponential backoff with jitter: a random delay in [d/2, d],
+ * where d = baseDelay * 2^(attempt - 1) capped at maxDelay.
+ */
+function backoffDelay(attempt, baseDelay, maxDelay) {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+// Entity lists of a project folder, by entity type
+const ENTITY_LISTS = { doc: 'docs', file: 'fileRefs', folder: 'folders' };
+
+/**
+ * Folder `folderId` in the tree under `folder`, or null.
+ */
+function findFolder(folder, folderId) {
+  if (folder._id === folderId) return folder;
+  for (const child of folder.folders || []) {
+    const found = findFolder(child, folderId);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * { folder, list, index } of entity `entityId` in the tree under `folder`, or null.
+ */
+function locateEntity(folder, entityId) {
+  for (const list of Object.values(ENTITY_LISTS)) {
+    const index = (folder[list] || []).findIndex((e) => e._id === entityId);
+    if (index >= 0) return { folder, list, index };
+  }
+  for (const child of folder.folders || []) {
+    const found = locateEntity(child, entityId);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Sort catch-up ops by version; null unless they cover exactly fromVersion..version-1.
+ */
+function orderedUpdates(updates, fromVersion, version) {
+  const sorted = [...updates].sort((a, b) => a.v - b.v);
+  if (sorted.length !== version - fromVersion) return null;
+  return sorted.every((update, i) => update.v === fromVersion + i) ? sorted : null;
+}
+
 class SocketManager {
-  constructor(cookie, projectId, sendEvent) {
-    this.cookie = cookie;
+  /**
+   * @param {CookieJar} jar - Session cookie jar (shared with HTTP requests)
+   * @param {string} projectId
+   * @param {function} sendEvent - (event, data) forwarder to the editor
+   * @param {object} [options]
+   * @param {boolean} [options.reconnect] - Reconnect and re-join docs after an unexpected
+   *   disconnect instead of forwarding it (default false)
+   * @param {number} [options.maxAttempts] - Reconnect attempts before giving up (default 10)
+   * @param {number} [options.baseDelay] - First backoff delay in ms (default 1000)
+   * @param {number} [options.maxDelay] - Backoff cap in ms (default 30000)
+   * @param {boolean} [options.refreshCookies] - Refresh the GCLB cookie before each attempt
+   *   (default: only for overleaf.com)
+   * @param {function} [options.onSessionExpired] - Called with a message when reconnecting is refused
+   * @param {number} [options.positionInterval] - Minimum ms between cursor position updates (default 500)
+   */
+  constructor(jar, projectId, sendEvent, options) {
+    this.jar = jar;
     this.projectId = projectId;
     this.sendEvent = sendEvent;
+    this.options = {
+      reconnect: false,
+      maxAttempts: 10,
+      baseDelay: 1000,
+      maxDelay: 30000,
+      refreshCookies: !process.env.OVERLEAF_URL,
+      positionInterval: 500,
+      ...options,
+    };
     this.socket = null;
     this.connected = false;
+    this.closed = false;
+    this.reconnecting = false;
+    this.joinedDocs = new Map(); // docId -> last known version
+    this.rootFolder = null; // project file tree from joinProject, kept current with file tree events
+    this.pendingRestores = new Map(); // path -> id of a doc removed by a history restore
+    this.pendingPosition = null;
+    this.positionTimer = null;
   }
 
   connect() {
@@ -88,8 +194,8 @@ class SocketManager {
       this.socket = io.connect(queryUrl, {
         reconnect: false,
         'force new connection': true,
+        cookieJar: this.jar,
         extraHeaders: {
-          'Cookie': this.cookie,
           'Origin': url,
         },
       });
@@ -102,6 +208,7 @@ class SocketManager {
       this.socket.on('joinProjectResponse', (data) => {
         clearTimeout(timeout);
         this.connected = true;
+        this._setProjectTree(data.project);
         this._setupEventHandlers();
         resolve({
           publicId: data.publicId,
@@ -121,6 +228,7 @@ class SocketManager {
             return;
           }
           this.connected = true;
+          this._setProjectTree(project);
           this._setupEventHandlers();
           resolve({
             publicId,
@@ -136,8 +244,20 @@ class SocketManager {
         reject({ code: 'CONNECT_FAILED', message: 'Socket.IO connection failed' });
       });
 
+      // v2 scheme: joining the project was refused (e.g. session no longer valid)
+      this.socket.on('connectionRejected', (err) => {
+        clearTimeout(timeout);
+        const message = (err && err.message) || String(err);
+        const code = /not authorized|unauthorized|login/i.test(message) ? 'AUTH_EXPIRED' : 'JOIN_FAILED';
+        reject({ code, message: `Connection rejected: ${message}` });
+      });
+
       this.socket.on('error', (err) => {
         clearTimeout(timeout);
+        if (err && err.code === 'AUTH_EXPIRED') {
+          reject({ code: 'AUTH_EXPIRED', message: err.message });
+          return;
+        }
         reject({ code: 'SOCKET_ERROR', message: String(err) });
       });
     });
@@ -156,6 +276,10 @@ class SocketManager {
 
     this.socket.on('otUpdateApplied', (update) => {
       console.log('[otUpdateApplied] doc=' + (update && update.doc) + ' v=' + (update && update.v) + ' hasOp=' + !!(update && update.op));
+      // Remote ops carry the version they were applied at
+      if (update && update.op && typeof update.v === 'number') {
+        this._trackVersion(update.doc, update.v + 1);
+      }
       this.sendEvent('otUpdateApplied', update);
     });
 
@@ -167,32 +291,82 @@ class SocketManager {
     this.socket.on('disconnect', (reason) => {
       console.log('[disconnect] reason=' + reason);
       this.connected = false;
+      if (this.options.reconnect && !this.closed) {
+        this._reconnect(reason || 'server disconnected');
+        return;
+      }
       this.sendEvent('disconnect', { reason: reason || 'server disconnected' });
     });
 
     this.socket.on('forceDisconnect', (message, delay) => {
       console.log('[forceDisconnect] message=' + message);
       this.connected = false;
+      // The server closes the socket next; reconnect mode handles that disconnect
+      if (this.options.reconnect) return;
       this.sendEvent('disconnect', { reason: `force disconnect: ${message}` });
     });
 
-    // File tree events (forward for future use)
+    // Project structure events
+    // A history restore replaces a doc: removeEntity(oldId) then reciveNewDoc(newDoc),
+    // both with meta { kind: 'file-restore', path }. The pair is also sent as docRestored.
     this.socket.on('reciveNewDoc', (parentFolderId, doc, meta, userId) => {
+      this.addEntity(parentFolderId, 'doc', doc);
       this.sendEvent('reciveNewDoc', { parentFolderId, doc, meta: meta || {} });
+
+      const oldDocId = meta && meta.kind === 'file-restore' && this.pendingRestores.get(meta.path);
+      if (oldDocId && doc) {
+        this.pendingRestores.delete(meta.path);
+        this.joinedDocs.delete(oldDocId);
+        this.sendEvent('docRestored', { oldDocId, newDocId: doc._id, path: meta.path, parentFolderId });
+      }
     });
 
     this.socket.on('reciveNewFile', (parentFolderId, file, meta, userId) => {
+      this.addEntity(parentFolderId, 'file', file);
       this.sendEvent('reciveNewFile', { parentFolderId, file, meta: meta || {} });
+      if (meta && meta.kind === 'file-restore') this.pendingRestores.delete(meta.path);
+    });
+
+    this.socket.on('reciveNewFolder', (parentFolderId, folder, userId) => {
+      this.addEntity(parentFolderId, 'folder', folder);
+      this.sendEvent('reciveNewFolder', { parentFolderId, folder, userId: userId || null });
     });
 
     this.socket.on('removeEntity', (entityId, meta) => {
+      if (meta && meta.kind === 'file-restore') this.pendingRestores.set(meta.path, entityId);
+      this.removeEntity(entityId);
       this.sendEvent('removeEntity', { entityId, meta: meta || {} });
     });
 
+    this.socket.on('reciveEntityMove', (entityId, folderId) => {
+      const found = this.rootFolder && locateEntity(this.rootFolder, entityId);
+      const target = this.rootFolder && findFolder(this.rootFolder, folderId);
+      if (found && target) {
+        const [entity] = found.folder[found.list].splice(found.index, 1);
+        target[found.list] = target[found.list] || [];
+        target[found.list].push(entity);
+      }
+      this.sendEvent('reciveEntityMove', { entityId, folderId });
+    });
+
+    this.socket.on('reciveEntityRename', (entityId, newName) => {
+      const found = this.rootFolder && locateEntity(this.rootFolder, entityId);
+      if (found) found.folder[found.list][found.index].name = newName;
+      this.sendEvent('reciveEntityRename', { entityId, name: newName });
+    });
+
     this.socket.on('rootDocUpdated', (newRootDocId) => {
       this.sendEvent('rootDocUpdated', { docId: newRootDocId });
     });
 
+    this.socket.on('compilerUpdated', (compiler) => {
+      this.sendEvent('compilerUpdated', { compiler });
+    });
+
+    this.socket.on('projectNameUpdated', (newName) => {
+      this.sendEvent('projectNameUpdated', { name: newName });
+    });
+
     // Comment/thread events
     this.socket.on('new-comment', (threadId, comment) => {
       this.sendEvent('newComment', { threadId, comment });
@@ -238,9 +412,12 @@ class SocketManager {
     });
   }
 
-  async joinDoc(docId) {
-    // Explicitly pass fromVersion=-1 to get full document (no incremental ops)
-    const data = await this._promisifiedEmit('joinDoc', docId, -1, { encodeRanges: true });
+  /**
+   * Join a doc. fromVersion=-1 requests the full document (no incremental ops);
+   * otherwise the server also returns the ops applied since fromVersion.
+   */
+  async _joinDoc(docId, fromVersion) {
+    const data = await this._promisifiedEmit('joinDoc', docId, fromVersion, { encodeRanges: true });
     // data = [docLines[], version, updates, ranges]
     const [docLines, version, updates, ranges] = data;
 
@@ -268,11 +445,47 @@ class SocketManager {
       }
     }
 
-    return { lines, version, ranges: decodedRanges };
+    this.joinedDocs.set(docId, version);
+    return { lines, version, updates: updates || [], ranges: decodedRanges };
+  }
+
+  /**
+   * Join a doc, optionally catching up from a known version.
+   * With fromVersion, returns { incremental: true, fromVersion, version, updates }
+   * where updates are the ops since fromVersion in order; if the server cannot
+   * provide them, falls back to the full snapshot { incremental: false, lines, version, ranges }.
+   * @param {string} docId
+   * @param {number} [fromVersion] - Last version the caller has (default: full snapshot)
+   */
+  async joinDoc(docId, fromVersion) {
+    if (typeof fromVersion === 'number' && fromVersion >= 0) {
+      try {
+        const doc = await this._joinDoc(docId, fromVersion);
+        const updates = orderedUpdates(doc.updates, fromVersion, doc.version);
+        if (updates) {
+          return { incremental: true, fromVersion, version: doc.version, updates, ranges: doc.ranges };
+        }
+        // Ops incomplete: the lines of this join are the current snapshot
+        return { incremental: false, lines: doc.lines, version: doc.version, ranges: doc.ranges };
+      } catch (err) {
+        if (err.code !== 'EMIT_ERROR') throw err;
+        console.log(`joinDoc ${docId} from v${fromVersion} failed (${err.message}), loading full document`);
+      }
+    }
+
+    const { lines, version, ranges } = await this._joinDoc(docId, -1);
+    return { incremental: false, lines, version, ranges };
+  }
+
+  _trackVersion(docId, version) {
+    if (this.joinedDocs.has(docId) && version > this.joinedDocs.get(docId)) {
+      this.joinedDocs.set(docId, version);
+    }
   }
 
   async leaveDoc(docId) {
     // leaveDoc is fire-and-forget (server may not send callback)
+    this.joinedDocs.delete(docId);
     this.socket.emit('leaveDoc', docId);
     return {};
   }
@@ -305,10 +518,165 @@ class SocketManager {
     }
 
     await this._promisifiedEmit('applyOtUpdate', docId, update);
+    this._trackVersion(docId, version + 1);
     return {};
   }
 
-  disconnect() {
+  /**
+   * Share our cursor position with collaborators (clientTracking.updatePosition).
+   * Throttled to one update per positionInterval; the latest position wins.
+   * @param {string} docId
+   * @param {number} row - 0-based line
+   * @param {number} column - 0-based column
+   */
+  updatePosition(docId, row, column) {
+    this.pendingPosition = { doc_id: docId, row, column };
+    if (!this.positionTimer) this._flushPosition();
+    return {};
+  }
+
+  _flushPosition() {
+    const position = this.pendingPosition;
+    this.pendingPosition = null;
+    if (!position || !this.socket || !this.connected) return;
+
+    this.socket.emit('clientTracking.updatePosition', position);
+    this.positionTimer = setTimeout(() => {
+      this.positionTimer = null;
+      this._flushPosition();
+    }, this.options.positionInterval);
+  }
+
+  /**
+   * Id of the project's root folder, or null before joining.
+   */
+  get rootFolderId() {
+    return this.rootFolder ? this.rootFolder._id : null;
+  }
+
+  /**
+   * Entity named `name` directly in folder `folderId`, as { type, entity }
+   * (type: 'doc' | 'file' | 'folder'), or null.
+   */
+  findEntity(folderId, name) {
+    const folder = this.rootFolder && findFolder(this.rootFolder, folderId);
+    if (!folder) return null;
+    for (const [type, list] of Object.entries(ENTITY_LISTS)) {
+      const entity = (folder[list] || []).find((e) => e.name === name);
+      if (entity) return { type, entity };
+    }
+    return null;
+  }
+
+  /**
+   * Add an entity to the file tree. Changes made through the web API are
+   * recorded right away; the server's event for them is then a no-op.
+   */
+  addEntity(folderId, type, entity) {
+    const folder = this.rootFolder && findFolder(this.rootFolder, folderId);
+    if (!folder || !entity || locateEntity(this.rootFolder, entity._id)) return;
+    const list = ENTITY_LISTS[type];
+    folder[list] = folder[list] || [];
+    folder[list].push(type === 'folder' ? { docs: [], fileRefs: [], folders: [], ...entity } : entity);
+  }
+
+  /**
+   * Remove an entity (and a folder's contents) from the file tree.
+   */
+  removeEntity(entityId) {
+    const found = this.rootFolder && locateEntity(this.rootFolder, entityId);
+    if (found) found.folder[found.list].splice(found.index, 1);
+  }
+
+  _setProjectTree(project) {
+    const root = project && project.rootFolder && project.rootFolder[0];
+    this.rootFolder = root ? structuredClone(root) : null;
+    this.pendingRestores.clear();
+  }
+
+  /**
+   * Collaborators currently connected to the project, with their cursor positions.
+   */
+  async getConnectedUsers() {
+    const [users] = await this._promisifiedEmit('clientTracking.getConnectedUsers');
+    return { users: users || [] };
+  }
+
+  /**
+   * Reconnect after an unexpected disconnect: re-handshake with backoff,
+   * re-join the project and every joined doc from its last known version.
+   * Emits 'reconnecting' before each attempt and 'reconnected' on success;
+   * forwards 'disconnect' when giving up.
+   */
+  async _reconnect(reason) {
+    if (this.reconnecting) return;
+    this.reconnecting = true;
+    const { maxAttempts, baseDelay, maxDelay } = this.options;
+
+    try {
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const delay = backoffDelay(attempt, baseDelay, maxDelay);
+        console.log(`[reconnect] attempt ${attempt}/${maxAttempts} in ${delay}ms`);
+        this.sendEvent('reconnecting', { attempt, maxAttempts, delay, reason });
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        if (this.closed) return;
+
+        try {
+          if (this.options.refreshCookies) await auth.updateCookies(this.jar);
+          const joined = await this.connect();
+          if (this.closed) {
+            this._closeSocket();
+            return;
+          }
+          const docs = await this._rejoinDocs();
+          this.sendEvent('reconnected', { attempt, ...joined, ...docs });
+          return;
+        } catch (err) {
+          console.log(`[reconnect] attempt ${attempt} failed: ${err.message || err}`);
+          this._closeSocket();
+          if (err.code === 'AUTH_EXPIRED') {
+            if (this.options.onSessionExpired) this.options.onSessionExpired(err.message);
+            this.sendEvent('disconnect', { reason: `session expired: ${err.message}` });
+            return;
+          }
+        }
+      }
+
+      this.sendEvent('disconnect', { reason: `reconnect failed after ${maxAttempts} attempts` });
+    } finally {
+      this.reconnecting = false;
+    }
+  }
+
+  /**
+   * Re-join previously joined docs from their last known version.
+   * Docs whose missing ops the server could not provide are left for the
+   * editor to reload with a full joinDoc.
+   */
+  async _rejoinDocs() {
+    const rejoined = [];
+    const reloadDocs = [];
+
+    for (const [docId, fromVersion] of [...this.joinedDocs]) {
+      try {
+        const doc = await this._joinDoc(docId, fromVersion);
+        const updates = orderedUpdates(doc.updates, fromVersion, doc.version);
+        if (updates) {
+          rejoined.push({ docId, fromVersion, version: doc.version, updates });
+          continue;
+        }
+      } catch (err) {
+        // e.g. the requested ops are too old; a connection problem fails the attempt
+        if (err.code !== 'EMIT_ERROR') throw err;
+      }
+      this.joinedDocs.delete(docId);
+      reloadDocs.push(docId);
+    }
+
+    return { rejoined, reloadDocs };
+  }
+
+  _closeSocket() {
     if (this.socket) {
       try {
         this.socket.disconnect();
@@ -319,6 +687,13 @@ class SocketManager {
       this.connected = false;
     }
   }
+
+  disconnect() {
+    this.closed = true;
+    clearTimeout(this.positionTimer);
+    this.positionTimer = null;
+    this._closeSocket();
+  }
 }
 
 module.exports = SocketManager;
@@ -0,0 +1,364 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Minimal read-only SQLite access for browser cookie databases.
+ *
+ * Uses node's built-in node:sqlite when the runtime provides it; otherwise
+ * falls back to a small pure-JS reader of the SQLite file format that can
+ * scan rowid tables (including overflow pages and an uncheckpointed WAL).
+ * Neither path needs the sqlite3 CLI.
+ */
+
+let nodeSqlite;
+function loadNodeSqlite() {
+  if (nodeSqlite === undefined) {
+    try {
+      nodeSqlite = require('node:sqlite');
+    } catch (e) {
+      nodeSqlite = null; // Node < 22.5, or behind --experimental-sqlite
+    }
+  }
+  return nodeSqlite;
+}
+
+/**
+ * Select rows from a table.
+ * @param {string} dbPath - Database file (a '-wal' file next to it is honoured)
+ * @param {string} table - Table name
+ * @param {string[]} columns - Columns to return
+ * @param {Object<string, Array>} [where] - column -> allowed values (ANDed IN filters)
+ * @param {object} [options]
+ * @param {boolean} [options.pureJs] - Skip node:sqlite (used by tests)
+ * @returns {object[]} Rows keyed by column name; BLOBs as Buffers, integers as Numbers
+ */
+function select(dbPath, table, columns, where, options) {
+  where = where || {};
+  const sqlite = !(options && options.pureJs) && loadNodeSqlite();
+  if (sqlite) {
+    return selectNative(sqlite, dbPath, table, columns, where);
+  }
+  return selectPureJs(dbPath, table, columns, where);
+}
+
+function quoteIdent(name) {
+  return '"' + String(name).replace(/"/g, '""') + '"';
+}
+
+function selectNative(sqlite, dbPath, table, columns, where) {
+  const db = new sqlite.DatabaseSync(dbPath, { readOnly: true });
+  try {
+    const clauses = [];
+    const params = [];
+    for (const [column, values] of Object.entries(where)) {
+      if (values.length === 0) return [];
+      clauses.push(`${quoteIdent(column)} IN (${values.map(() => '?').join(', ')})`);
+      params.push(...values);
+    }
+    const sql = `SELECT ${columns.map(quoteIdent).join(', ')} FROM ${quoteIdent(table)}` +
+      (clauses.length ? ` WHERE ${clauses.join(' AND ')}` : '');
+
+    const stmt = db.prepare(sql);
+    // Chrome timestamps (microseconds since 1601) exceed Number.MAX_SAFE_INTEGER
+    stmt.setReadBigInts(true);
+    return stmt.all(...params).map((row) => {
+      const out = {};
+      for (const column of columns) out[column] = normalizeValue(row[column]);
+      return out;
+    });
+  } finally {
+    db.close();
+  }
+}
+
+function normalizeValue(value) {
+  if (typeof value === 'bigint') return Number(value);
+  if (value instanceof Uint8Array && !Buffer.isBuffer(value)) return Buffer.from(value);
+  return value;
+}
+
+function selectPureJs(dbPath, table, columns, where) {
+  const walPath = dbPath + '-wal';
+  const reader = new SqliteReader(
+    fs.readFileSync(dbPath),
+    fs.existsSync(walPath) ? fs.readFileSync(walPath) : null
+  );
+
+  const filters = Object.entries(where).map(([column, values]) => [column, new Set(values)]);
+  return reader.readTable(table).filter((row) =>
+    filters.every(([column, allowed]) => allowed.has(row[column]))
+  ).map((row) => {
+    const out = {};
+    for (const column of columns) out[column] = row[column] === undefined ? null : row[column];
+    return out;
+  });
+}
+
+// ── Pure-JS file format reader ─────────────────────────────────────────
+// https://www.sqlite.org/fileformat.html
+
+const PAGE_INTERIOR_TABLE = 0x05;
+const PAGE_LEAF_TABLE = 0x0d;
+
+class SqliteReader {
+  /**
+   * @param {Buffer} db - Main database file contents
+   * @param {Buffer|null} wal - Write-ahead log contents, if any
+   */
+  constructor(db, wal) {
+    if (db.length < 100 || db.toString('latin1', 0, 16) !== 'SQLite format 3\0') {
+      throw { code: 'SQLITE_ERROR', message: 'Not a SQLite database' };
+    }
+    this.db = db;
+    const pageSize = db.readUInt16BE(16);
+    this.pageSize = pageSize === 1 ? 65536 : pageSize;
+    this.usableSize = this.pageSize - db[20];
+    const encoding = db.readUInt32BE(56);
+    this.encoding = encoding === 2 ? 'utf16le' : encoding === 3 ? 'utf16be' : 'utf-8';
+    this.walPages = wal ? this._readWal(wal) : new Map();
+  }
+
+  /**
+   * Collect the latest committed copy of each page from the WAL.
+   * Frames are trusted up to the last commit frame whose salts match the
+   * WAL header; checksums are not verified.
+   */
+  _readWal(wal) {
+    const pages = new Map();
+    if (wal.length < 32) return pages;
+
+    const magic = wal.readUInt32BE(0);
+    if (magic !== 0x377f0682 && magic !== 0x377f0683) return pages;
+    if (wal.readUInt32BE(8) !== this.pageSize) return pages;
+
+    const salt1 = wal.readUInt32BE(16);
+    const salt2 = wal.readUInt32BE(20);
+    const frameSize = 24 + this.pageSize;
+    let pending = new Map();
+
+    for (let offset = 32; offset + frameSize <= wal.length; offset += frameSize) {
+      if (wal.readUInt32BE(offset + 8) !== salt1 || wal.readUInt32BE(offset + 12) !== salt2) break;
+
+      const pageNumber = wal.readUInt32BE(offset);
+      pending.set(pageNumber, wal.subarray(offset + 24, offset + frameSize));
+
+      // Non-zero "database size after commit" marks the end of a transaction
+      if (wal.readUInt32BE(offset + 4) !== 0) {
+        for (const [n, page] of pending) pages.set(n, page);
+        pending = new Map();
+      }
+    }
+
+    return pages;
+  }
+
+  page(n) {
+    if (this.walPages.has(n)) return this.walPages.get(n);
+    const start = (n - 1) * this.pageSize;
+    if (n < 1 || start + this.pageSize > this.db.length) {
+      throw { code: 'SQLITE_ERROR', message: `Page ${n} out of range` };
+    }
+    return this.db.subarray(start, start + this.pageSize);
+  }
+
+  /**
+   * Read every row of a rowid table as { column: value }.
+   */
+  readTable(name) {
+    const schema = this._readBtree(1).map((record) => ({
+      type: record.values[0],
+      name: record.values[1],
+      rootpage: record.values[3],
+      sql: record.values[4],
+    }));
+
+    const entry = schema.find((s) => s.type === 'table' && s.name === name);
+    if (!entry) {
+      throw { code: 'SQLITE_ERROR', message: `No such table: ${name}` };
+    }
+    if (/\)\s*WITHOUT\s+ROWID\s*;?\s*$/i.test(entry.sql)) {
+      throw { code: 'SQLITE_ERROR', message: `WITHOUT ROWID tables are not supported: ${name}` };
+    }
+
+    const columns = parseColumns(entry.sql);
+    return this._readBtree(entry.rootpage).map(({ rowid, values }) => {
+      const row = {};
+      columns.forEach((column, i) => {
+        // INTEGER PRIMARY KEY aliases the rowid and is stored as NULL
+        row[column.name] = column.rowidAlias ? rowid : (i < values.length ? values[i] : null);
+      });
+      return row;
+    });
+  }
+
+  _readBtree(rootPage) {
+    const records = [];
+    const stack = [rootPage];
+    const seen = new Set();
+
+    while (stack.length > 0) {
+      const n = stack.pop();
+      if (seen.has(n)) throw { code: 'SQLITE_ERROR', message: 'Corrupt b-tree (page cycle)' };
+      seen.add(n);
+
+      const page = this.page(n);
+      const headerOffset = n === 1 ? 100 : 0;
+      const type = page[headerOffset];
+      const cellCount = page.readUInt16BE(headerOffset + 3);
+
+      if (type === PAGE_INTERIOR_TABLE) {
+        // Push right-most child first so children are visited in key order
+        const children = [];
+        for (let i = 0; i < cellCount; i++) {
+          const cell = page.readUInt16BE(headerOffset + 12 + i * 2);
+          children.push(page.readUInt32BE(cell));
+        }
+        children.push(page.readUInt32BE(headerOffset + 8));
+        for (let i = children.length - 1; i >= 0; i--) stack.push(children[i]);
+      } else if (type === PAGE_LEAF_TABLE) {
+        for (let i = 0; i < cellCount; i++) {
+          const cell = page.readUInt16BE(headerOffset + 8 + i * 2);
+          records.push(this._readLeafCell(page, cell));
+        }
+      } else {
+        throw { code: 'SQLITE_ERROR', message: `Unexpected page type 0x${type.toString(16)} in table b-tree` };
+      }
+    }
+
+    return records;
+  }
+
+  _readLeafCell(page, offset) {
+    const [payloadSize, n1] = readVarint(page, offset);
+    const [rowid, n2] = readVarint(page, offset + n1);
+    const start = offset + n1 + n2;
+
+    const u = this.usableSize;
+    const maxLocal = u - 35;
+    let payload;
+
+    if (payloadSize <= maxLocal) {
+      payload = page.subarray(start, start + payloadSize);
+    } else {
+      const minLocal = Math.floor(((u - 12) * 32) / 255) - 23;
+      const k = minLocal + ((payloadSize - minLocal) % (u - 4));
+      const localSize = k <= maxLocal ? k : minLocal;
+
+      const chunks = [page.subarray(start, start + localSize)];
+      let remaining = payloadSize - localSize;
+      let overflow = page.readUInt32BE(start + localSize);
+      while (remaining > 0 && overflow !== 0) {
+        const overflowPage = this.page(overflow);
+        const size = Math.min(remaining, u - 4);
+        chunks.push(overflowPage.subarray(4, 4 + size));
+        remaining -= size;
+        overflow = overflowPage.readUInt32BE(0);
+      }
+      payload = Buffer.concat(chunks);
+    }
+
+    return { rowid, values: this._decodeRecord(payload) };
+  }
+
+  _decodeRecord(payload) {
+    const [headerSize, n] = readVarint(payload, 0);
+    const types = [];
+    for (let pos = n; pos < headerSize;) {
+      const [type, len] = readVarint(payload, pos);
+      types.push(type);
+      pos += len;
+    }
+
+    const values = [];
+    let pos = headerSize;
+    for (const type of types) {
+      if (type === 0) {
+        values.push(null);
+      } else if (type >= 1 && type <= 6) {
+        const size = [0, 1, 2, 3, 4, 6, 8][type];
+        values.push(readInt(payload, pos, size));
+        pos += size;
+      } else if (type === 7) {
+        values.push(payload.readDoubleBE(pos));
+        pos += 8;
+      } else if (type === 8 || type === 9) {
+        values.push(type - 8);
+      } else if (type >= 12 && type % 2 === 0) {
+        const size = (type - 12) / 2;
+        values.push(Buffer.from(payload.subarray(pos, pos + size)));
+        pos += size;
+      } else if (type >= 13) {
+        const size = (type - 13) / 2;
+        values.push(this._decodeText(payload.subarray(pos, pos + size)));
+        pos += size;
+      } else {
+        throw { code: 'SQLITE_ERROR', message: `Unsupported serial type ${type}` };
+      }
+    }
+    return values;
+  }
+
+  _decodeText(bytes) {
+    if (this.encoding === 'utf16be') {
+      return Buffer.from(bytes).swap16().toString('utf16le');
+    }
+    return bytes.toString(this.encoding);
+  }
+}
+
+/**
+ * Read a SQLite varint (1-9 bytes, big-endian, 7 bits per byte except the 9th).
+ * @returns {[number, number]} [value, bytesRead]
+ */
+function readVarint(buf, offset) {
+  let value = 0;
+  for (let i = 0; i < 8; i++) {
+    const byte = buf[offset + i];
+    value = value * 128 + (byte & 0x7f);
+    if ((byte & 0x80) === 0) return [value, i + 1];
+  }
+  return [value * 256 + buf[offset + 8], 9];
+}
+
+function readInt(buf, offset, size) {
+  if (size === 8) return Number(buf.readBigInt64BE(offset));
+  return buf.readIntBE(offset, size);
+}
+
+/**
+ * Extract column definitions from a CREATE TABLE statement.
+ * Table constraints (UNIQUE (...), PRIMARY KEY (...), ...) are skipped.
+ */
+function parseColumns(sql) {
+  const body = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+
+  // Split on top-level commas
+  const defs = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of body) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch === ',' && depth === 0) {
+      defs.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) defs.push(current.trim());
+
+  const constraint = /^(CONSTRAINT|PRIMARY\s+KEY|UNIQUE|CHECK|FOREIGN\s+KEY)\b/i;
+  return defs.filter((def) => !constraint.test(def)).map((def) => {
+    const match = def.match(/^("(?:[^"]|"")+"|`[^`]+`|\[[^\]]+\]|\S+)\s*(.*)$/s);
+    let name = match[1];
+    if (/^["`[]/.test(name)) name = name.slice(1, -1).replace(/""/g, '"');
+    return {
+      name,
+      rowidAlias: /^INTEGER\s+PRIMARY\s+KEY\b/i.test(match[2]) && !/\bDESC\b/i.test(match[2]),
+    };
+  });
+}
+
+module.exports = { select, SqliteReader };
@@ -0,0 +1,187 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+/**
+ * Minimal ZIP reader for Overleaf project archives: stored and deflated
+ * entries, no ZIP64, no encryption.
+ *
+ * Every entry is checked before anything is written, so an archive with an
+ * unsafe path (absolute, "..", symlink) extracts nothing.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+let crcTable = null;
+
+function crc32(buf) {
+  if (!crcTable) {
+    crcTable = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c;
+    }
+  }
+  let crc = -1;
+  for (let i = 0; i < buf.length; i++) crc = crcTable[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+}
+
+function corrupt(message) {
+  return { code: 'CORRUPT_ZIP', message };
+}
+
+/**
+ * Up to `length` bytes of the archive from `position` (fewer at its end).
+ */
+function readAt(fd, position, length) {
+  const buf = Buffer.alloc(length);
+  return buf.subarray(0, fs.readSync(fd, buf, 0, length, position));
+}
+
+/**
+ * Entries from the central directory.
+ * @param {number} fd - Open archive
+ * @returns {Array<{name, method, flags, crc, compressedSize, size, offset, mode}>}
+ */
+function readEntries(fd) {
+  // End of central directory: last 22 bytes + up to 64K comment
+  const size = fs.fstatSync(fd).size;
+  const tailStart = Math.max(0, size - 22 - 0xffff);
+  const tail = readAt(fd, tailStart, size - tailStart);
+  let eocd = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw corrupt('Not a zip file (no end of central directory)');
+
+  const count = tail.readUInt16LE(eocd + 10);
+  const directorySize = tail.readUInt32LE(eocd + 12);
+  const directoryOffset = tail.readUInt32LE(eocd + 16);
+  if (count === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff) {
+    throw { code: 'UNSUPPORTED_ZIP', message: 'ZIP64 archives are not supported' };
+  }
+
+  const buf = readAt(fd, directoryOffset, directorySize);
+  const entries = [];
+  let offset = 0;
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buf.length || buf.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw corrupt('Bad central directory entry');
+    }
+    const nameLength = buf.readUInt16LE(offset + 28);
+    const extraLength = buf.readUInt16LE(offset + 30);
+    const commentLength = buf.readUInt16LE(offset + 32);
+    entries.push({
+      name: buf.toString('utf-8', offset + 46, offset + 46 + nameLength),
+      flags: buf.readUInt16LE(offset + 8),
+      method: buf.readUInt16LE(offset + 10),
+      crc: buf.readUInt32LE(offset + 16),
+      compressedSize: buf.readUInt32LE(offset + 20),
+      size: buf.readUInt32LE(offset + 24),
+      mode: buf.readUInt32LE(offset + 38) >>> 16,
+      offset: buf.readUInt32LE(offset + 42),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Destination of an entry inside `targetDir`, or an UNSAFE_PATH error.
+ * Symbolic links already under targetDir count as unsafe too: writing
+ * through one would land outside it.
+ */
+function safeDestination(targetDir, entry) {
+  const name = entry.name.replace(/\\/g, '/');
+  const unsafe = (reason) => ({
+    code: 'UNSAFE_PATH',
+    message: `Refusing to extract ${JSON.stringify(entry.name)}: ${reason}`,
+  });
+
+  if ((entry.mode & S_IFMT) === S_IFLNK) throw unsafe('symbolic link');
+  if (name.startsWith('/') || /^[A-Za-z]:/.test(name)) throw unsafe('absolute path');
+  if (name.split('/').includes('..')) throw unsafe('parent directory reference');
+
+  const dest = path.resolve(targetDir, name);
+  if (dest === targetDir) return dest;
+  if (!dest.startsWith(targetDir + path.sep)) throw unsafe('outside the target directory');
+
+  let current = targetDir;
+  for (const part of path.relative(targetDir, dest).split(path.sep)) {
+    current = path.join(current, part);
+    let stat;
+    try {
+      stat = fs.lstatSync(current);
+    } catch (e) {
+      break; // Nothing further down exists yet
+    }
+    if (stat.isSymbolicLink()) throw unsafe(`${path.relative(targetDir, current)} is a symbolic link`);
+  }
+  return dest;
+}
+
+function entryData(fd, entry) {
+  if (entry.flags & 0x1) throw { code: 'UNSUPPORTED_ZIP', message: `Encrypted entry: ${entry.name}` };
+  const header = readAt(fd, entry.offset, 30);
+  if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_SIGNATURE) throw corrupt(`Bad local header: ${entry.name}`);
+
+  const start = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  const raw = readAt(fd, start, entry.compressedSize);
+  if (raw.length < entry.compressedSize) throw corrupt(`Truncated entry: ${entry.name}`);
+  let data;
+  if (entry.method === 0) {
+    data = raw;
+  } else if (entry.method === 8) {
+    data = zlib.inflateRawSync(raw);
+  } else {
+    throw { code: 'UNSUPPORTED_ZIP', message: `Unsupported compression method ${entry.method}: ${entry.name}` };
+  }
+
+  if (data.length !== entry.size || crc32(data) !== entry.crc) throw corrupt(`Checksum mismatch: ${entry.name}`);
+  return data;
+}
+
+/**
+ * Extract an archive into `targetDir` (created if needed). Entries are read
+ * one at a time, so only the central directory and the current entry are
+ * held in memory.
+ * @param {string} zipPath
+ * @param {string} targetDir
+ * @returns {string[]} Extracted file paths, relative to targetDir
+ */
+function extract(zipPath, targetDir) {
+  const fd = fs.openSync(zipPath, 'r');
+  try {
+    const dir = path.resolve(targetDir);
+    const entries = readEntries(fd).map((entry) => ({ ...entry, dest: safeDestination(dir, entry) }));
+
+    const files = [];
+    fs.mkdirSync(dir, { recursive: true });
+    for (const entry of entries) {
+      if (entry.name.endsWith('/')) {
+        fs.mkdirSync(entry.dest, { recursive: true });
+        continue;
+      }
+      const data = entryData(fd, entry);
+      fs.mkdirSync(path.dirname(entry.dest), { recursive: true });
+      fs.writeFileSync(entry.dest, data);
+      files.push(path.relative(dir, entry.dest).split(path.sep).join('/'));
+    }
+    return files;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = { extract, readEntries, crc32 };
@@ -2,7 +2,16 @@
 local subcommands = {
   connect = function() require('overleaf').connect() end,
   disconnect = function() require('overleaf').disconnect() end,
-  compile = function() require('overleaf').compile() end,
+  compile = function(args) require('overleaf').compile({ draft = args == 'draft' or nil }) end,
+  pdf = function() require('overleaf').open_last_pdf() end,
+  stop = function() require('overleaf').stop_compile() end,
+  wordcount = function() require('overleaf').word_count() end,
+  clearcache = function() require('overleaf').clear_compile_cache() end,
+  rootdoc = function() require('overleaf').set_root_doc() end,
+  compiler = function(args) require('overleaf').set_compiler(args) end,
+  outputs = function(args) require('overleaf').fetch_outputs(args and { args } or nil) end,
+  synctex = function() require('overleaf').sync_to_pdf() end,
+  zip = function(args) require('overleaf').download_zip(args) end,
   tree = function() require('overleaf').toggle_tree() end,
   open = function(args) require('overleaf').open_document(args) end,
   projects = function() require('overleaf').select_project() end,
@@ -12,7 +21,9 @@ local subcommands = {
   mkdir = function(args) require('overleaf').create_folder(args) end,
   delete = function() require('overleaf').delete_entity() end,
   rename = function() require('overleaf').rename_entity() end,
+  move = function() require('overleaf').move_entity() end,
   upload = function(args) require('overleaf').upload_file(args) end,
+  uploaddir = function(args) require('overleaf').upload_directory(args) end,
   search = function(args) require('overleaf').search(args) end,
   comments = function(args)
     if args == 'refresh' then
@@ -22,6 +33,8 @@ local subcommands = {
     end
   end,
   history = function() require('overleaf').history() end,
+  label = function() require('overleaf').create_label() end,
+  labels = function() require('overleaf').list_labels() end,
   sync = function(args)
     if args == 'import' then
       require('overleaf').sync_import()
@@ -74,6 +87,10 @@ end, {
     end
     -- Complete subcommand arguments
     local sub = parts[2]
+    if sub == 'compile' then return { 'draft' } end
+    if sub == 'compiler' then return require('overleaf').compilers end
+    if sub == 'outputs' then return { 'aux', 'bbl', 'blg', 'fls', 'synctex.gz' } end
+    if sub == 'zip' or sub == 'uploaddir' then return vim.fn.getcompletion(arglead or '', 'dir') end
     if sub == 'comments' then return { 'refresh' } end
     if sub == 'sync' then return { 'import', 'export' } end
     return {}
@@ -0,0 +1,401 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Unit tests for browser cookie extraction
+ * (node/chrome-cookie.js, node/firefox-cookie.js) and the cookie jar
+ * (node/cookie-jar.js).
+ *
+ * Uses a fixture home directory with Chrome, Chromium and Firefox profiles.
+ * Chrome cookie databases were encrypted with known keys, so no real
+ * browser or keyring is needed.
+ *
+ * Usage: node tests/node/cookies.test.js
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+
+const FIXTURE_HOME = path.join(__dirname, 'fixtures', 'home');
+const KEYRING_PASSWORD = 'fixture-keyring-password';
+
+process.env.HOME = FIXTURE_HOME;
+delete process.env.XDG_CONFIG_HOME;
+delete process.env.OVERLEAF_URL;
+
+const { getOverleafCookie, listProfiles, decryptCookieValue } = require('../../node/chrome-cookie');
+const firefox = require('../../node/firefox-cookie');
+const sqlite = require('../../node/sqlite');
+const { cookieHostKeys, formatCookies, withDatabaseCopy } = require('../../node/cookie-source');
+const CookieJar = require('../../node/cookie-jar');
+
+// ── Test framework ─────────────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+let skipped = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error('Assertion failed: ' + message);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      `${message || 'assertEqual'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+async function test(name, fn, { skip } = {}) {
+  if (skip) {
+    skipped++;
+    console.log(`  - ${name} (skipped: ${skip})`);
+    return;
+  }
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${e.message}`);
+  }
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+let hasNodeSqlite = true;
+try {
+  require('node:sqlite');
+} catch (e) {
+  hasNodeSqlite = false;
+}
+
+function deriveKey(password) {
+  return crypto.pbkdf2Sync(password, 'saltysalt', 1, 16, 'sha1');
+}
+
+function encrypt(version, key, plaintext) {
+  const cipher = crypto.createCipheriv('aes-128-cbc', key, Buffer.alloc(16, ' '));
+  return Buffer.concat([Buffer.from(version), cipher.update(plaintext), cipher.final()]);
+}
+
+// Stands in for libsecret/KWallet: v10 uses the built-in 'peanuts' password
+function fixtureKeyProvider(version) {
+  return deriveKey(version === 'v10' ? 'peanuts' : KEYRING_PASSWORD);
+}
+
+// ── Test cases ─────────────────────────────────────────────────────────
+async function runTests() {
+  const notLinux = os.platform() !== 'linux' ? 'Linux-only fixture layout' : null;
+
+  console.log('\nChrome Decryption:');
+
+  await test('decrypts v10 value with peanuts key', async () => {
+    const key = deriveKey('peanuts');
+    const value = decryptCookieValue(encrypt('v10', key, 's%3Aabc.def'), () => key);
+    assertEqual(value, 's%3Aabc.def', 'decrypted value');
+  });
+
+  await test('decrypts v11 value with provided key', async () => {
+    const key = deriveKey(KEYRING_PASSWORD);
+    const versions = [];
+    const value = decryptCookieValue(encrypt('v11', key, 's%3Axyz.sig'), (v) => { versions.push(v); return key; });
+    assertEqual(value, 's%3Axyz.sig', 'decrypted value');
+    assertEqual(versions.join(','), 'v11', 'key requested for v11');
+  });
+
+  await test('strips SHA-256(host_key) prefix (cookie DB v24)', async () => {
+    const key = deriveKey('peanuts');
+    const digest = crypto.createHash('sha256').update('.overleaf.com').digest();
+    const encrypted = encrypt('v10', key, Buffer.concat([digest, Buffer.from('CMGclb')]));
+    assertEqual(decryptCookieValue(encrypted, () => key, '.overleaf.com'), 'CMGclb', 'matching host');
+    assert(decryptCookieValue(encrypted, () => key, '.other.com').endsWith('CMGclb'), 'other host keeps prefix');
+  });
+
+  await test('unencrypted values are returned as-is', async () => {
+    assertEqual(decryptCookieValue(Buffer.from('plain'), () => null), 'plain', 'plain value');
+    assertEqual(decryptCookieValue(Buffer.alloc(0), () => null), '', 'empty value');
+  });
+
+  await test('missing key reports DECRYPT_FAILED', async () => {
+    const key = deriveKey(KEYRING_PASSWORD);
+    try {
+      decryptCookieValue(encrypt('v11', key, 's%3Axyz'), () => null);
+      throw new Error('should have thrown');
+    } catch (e) {
+      assertEqual(e.code, 'DECRYPT_FAILED', 'error code');
+    }
+  });
+
+  console.log('\nChrome Profiles (Linux):');
+
+  await test('lists Chrome and Chromium profiles', async () => {
+    const profiles = listProfiles();
+    assertEqual(profiles.length, 2, 'profile count');
+
+    const chrome = profiles.find((p) => p.dir === 'google-chrome/Default');
+    assert(chrome, 'google-chrome/Default listed');
+    assertEqual(chrome.email, 'alice@example.com', 'chrome email');
+    assertEqual(chrome.name, 'alice@example.com', 'chrome display name');
+
+    const chromium = profiles.find((p) => p.dir === 'chromium/Profile 1');
+    assert(chromium, 'chromium/Profile 1 listed (Network/Cookies)');
+    assertEqual(chromium.name, 'Work', 'chromium display name');
+    assertEqual(chromium.email, '', 'chromium email');
+  }, { skip: notLinux });
+
+  await test('extracts all Overleaf cookies from Chrome profile', async () => {
+    const cookie = await getOverleafCookie('google-chrome/Default', { keyProvider: fixtureKeyProvider });
+    assertEqual(
+      cookie,
+      'overleaf_session2=s%3AchromeSession.fixtureSignature; GCLB=CMGclbFixture; plain_pref=dark; sso_state=ssoFixture',
+      'session (v11) first, then GCLB (v10), unencrypted and SSO cookies; no expired or foreign-host cookies'
+    );
+  }, { skip: notLinux });
+
+  await test('bare profile name resolves to first browser that has it', async () => {
+    const cookie = await getOverleafCookie('Default', { keyProvider: fixtureKeyProvider });
+    assert(cookie.startsWith('overleaf_session2=s%3AchromeSession.fixtureSignature;'), 'google-chrome profile');
+  }, { skip: notLinux });
+
+  await test('OVERLEAF_URL selects cookies for the self-hosted host', async () => {
+    process.env.OVERLEAF_URL = 'https://latex.notoverleaf.com';
+    try {
+      const cookie = await getOverleafCookie('google-chrome/Default', { keyProvider: fixtureKeyProvider });
+      assertEqual(cookie, 'overleaf_session2=s%3Aimpostor.sig', 'only .notoverleaf.com cookies');
+    } finally {
+      delete process.env.OVERLEAF_URL;
+    }
+  }, { skip: notLinux });
+
+  await test('extracts v10 session cookie from Chromium profile', async () => {
+    const cookie = await getOverleafCookie('chromium/Profile 1', { keyProvider: fixtureKeyProvider });
+    assertEqual(cookie, 'overleaf_session2=s%3AchromiumSession.fixtureSignature', 'cookie');
+  }, { skip: notLinux });
+
+  await test('key provider receives browser application name', async () => {
+    const seen = [];
+    await getOverleafCookie('chromium/Profile 1', {
+      keyProvider: (version, application) => { seen.push(application); return fixtureKeyProvider(version); },
+    });
+    assertEqual(seen.join(','), 'chromium', 'application');
+  }, { skip: notLinux });
+
+  await test('wrong keyring key reports DECRYPT_FAILED', async () => {
+    try {
+      await getOverleafCookie('google-chrome/Default', { keyProvider: () => deriveKey('wrong') });
+      throw new Error('should have thrown');
+    } catch (e) {
+      assertEqual(e.code, 'DECRYPT_FAILED', 'error code');
+    }
+  }, { skip: notLinux });
+
+  await test('unknown profile reports NOT_FOUND', async () => {
+    try {
+      await getOverleafCookie('chromium/Default', { keyProvider: fixtureKeyProvider });
+      throw new Error('should have thrown');
+    } catch (e) {
+      assertEqual(e.code, 'NOT_FOUND', 'error code');
+    }
+  }, { skip: notLinux });
+
+  console.log('\nFirefox Profiles:');
+
+  await test('parses profiles.ini sections', async () => {
+    const ini = firefox.parseIni('[General]\nVersion=2\n\n; comment\n[Profile0]\nName=a=b\r\nPath=x.default\n');
+    assertEqual(ini.General.Version, '2', 'general version');
+    assertEqual(ini.Profile0.Name, 'a=b', 'value containing =');
+    assertEqual(ini.Profile0.Path, 'x.default', 'CRLF line');
+  });
+
+  await test('lists profiles with cookies, install default first', async () => {
+    const profiles = firefox.listProfiles();
+    assertEqual(profiles.map((p) => p.dir).join(','), 'abc123.default-release,xyz789.default', 'profile dirs');
+    assertEqual(profiles[0].name, 'default-release', 'profile name');
+    assertEqual(profiles[0].email, '', 'profile email');
+  }, { skip: notLinux });
+
+  await test('extracts session cookie from Firefox profile', async () => {
+    const cookie = await firefox.getOverleafCookie('abc123.default-release');
+    assertEqual(
+      cookie,
+      'overleaf_session2=s%3AfirefoxSession.fixtureSignature; GCLB=CNfirefoxGclb',
+      'default-jar cookies for the host only'
+    );
+  }, { skip: notLinux });
+
+  await test('skips expired cookies', async () => {
+    const cookie = await firefox.getOverleafCookie('xyz789.default');
+    assertEqual(cookie, 'overleaf_session2=s%3AlegacySession.sig', 'cookie');
+  }, { skip: notLinux });
+
+  await test('defaults to the first listed profile', async () => {
+    const cookie = await firefox.getOverleafCookie();
+    assert(cookie.startsWith('overleaf_session2=s%3AfirefoxSession.fixtureSignature'), 'install default profile');
+  }, { skip: notLinux });
+
+  await test('unknown Firefox profile reports NOT_FOUND', async () => {
+    try {
+      await firefox.getOverleafCookie('missing.profile');
+      throw new Error('should have thrown');
+    } catch (e) {
+      assertEqual(e.code, 'NOT_FOUND', 'error code');
+    }
+  }, { skip: notLinux });
+
+  console.log('\nCookie Helpers:');
+
+  await test('host keys cover host-only and parent domain cookies', async () => {
+    assertEqual(
+      cookieHostKeys('www.overleaf.com').join(','),
+      'www.overleaf.com,.www.overleaf.com,.overleaf.com',
+      'overleaf.com keys'
+    );
+    assertEqual(cookieHostKeys('localhost').join(','), 'localhost,.localhost', 'single label');
+    assertEqual(cookieHostKeys('127.0.0.1').join(','), '127.0.0.1', 'IP address');
+  });
+
+  await test('formatCookies prefers host-only, then latest expiry', async () => {
+    const cookie = formatCookies([
+      { name: 'a', value: 'domain', host: '.overleaf.com', expires: 0 },
+      { name: 'a', value: 'host', host: 'www.overleaf.com', expires: Date.now() + 1000 },
+      { name: 'b', value: 'old', host: '.overleaf.com', expires: Date.now() + 1000 },
+      { name: 'b', value: 'new', host: '.overleaf.com', expires: Date.now() + 5000 },
+      { name: 'c', value: 'gone', host: '.overleaf.com', expires: Date.now() - 1000 },
+      { name: 'overleaf_session2', value: 's%3Ax', host: '.overleaf.com', expires: 0 },
+    ], 'www.overleaf.com');
+    assertEqual(cookie, 'overleaf_session2=s%3Ax; a=host; b=new', 'cookie header');
+  });
+
+  console.log('\nCookie Jar:');
+
+  const OVERLEAF = 'https://www.overleaf.com';
+
+  await test('Set-Cookie replaces a seeded cookie with the same name', async () => {
+    const jar = new CookieJar('overleaf_session2=old; GCLB=lb1');
+    const updates = [];
+    jar.on('cookieUpdated', (cookie) => updates.push(cookie));
+
+    jar.setCookies(['overleaf_session2=new; Domain=.overleaf.com; Path=/; Secure; HttpOnly'], OVERLEAF + '/project');
+    assertEqual(jar.toString(), 'overleaf_session2=new; GCLB=lb1', 'merged cookie');
+    assertEqual(updates.length, 1, 'one cookieUpdated event');
+    assertEqual(updates[0], jar.toString(), 'event carries the cookie string');
+  });
+
+  await test('merges by name, domain and path', async () => {
+    const jar = new CookieJar();
+    jar.setCookies(['a=1; Path=/', 'a=2; Path=/project'], OVERLEAF + '/');
+    jar.setCookies('a=3; Path=/', OVERLEAF + '/');
+    assertEqual(jar.getCookieHeader(OVERLEAF + '/project/123'), 'a=2; a=3', 'longer path first');
+    assertEqual(jar.getCookieHeader(OVERLEAF + '/login'), 'a=3', 'path match');
+    assertEqual(jar.getCookieHeader(OVERLEAF + '/projects'), 'a=3', 'path prefix is not a segment match');
+  });
+
+  await test('unchanged values do not emit cookieUpdated', async () => {
+    const jar = new CookieJar();
+    let updates = 0;
+    jar.on('cookieUpdated', () => updates++);
+    assert(jar.setCookies('GCLB=x; Path=/', OVERLEAF + '/'), 'first Set-Cookie changes the jar');
+    assert(!jar.setCookies('GCLB=x; Path=/', OVERLEAF + '/'), 'same value is not a change');
+    assert(!jar.setCookies(undefined, OVERLEAF + '/'), 'no Set-Cookie header');
+    assertEqual(updates, 1, 'event count');
+  });
+
+  await test('Max-Age=0 and past Expires delete cookies', async () => {
+    const jar = new CookieJar('a=1; b=2; c=3');
+    jar.setCookies(['a=; Max-Age=0', 'b=; Expires=Thu, 01 Jan 1970 00:00:00 GMT'], OVERLEAF + '/');
+    assertEqual(jar.toString(), 'c=3', 'remaining cookies');
+  });
+
+  await test('domain, secure and host-only rules', async () => {
+    const jar = new CookieJar();
+    jar.setCookies([
+      'evil=1; Domain=example.com',
+      'shared=1; Domain=overleaf.com',
+      'hostonly=1',
+      'secure=1; Secure',
+    ], OVERLEAF + '/');
+    assertEqual(jar.getCookieHeader(OVERLEAF + '/'), 'shared=1; hostonly=1; secure=1', 'overleaf.com');
+    assertEqual(jar.getCookieHeader('https://cdn.overleaf.com/'), 'shared=1', 'subdomain');
+    assertEqual(jar.getCookieHeader('ws://www.overleaf.com/socket.io/1/websocket/x'), 'shared=1; hostonly=1', 'insecure scheme');
+    assertEqual(jar.getCookieHeader('wss://www.overleaf.com/socket.io/1/websocket/x'), 'shared=1; hostonly=1; secure=1', 'wss');
+    assertEqual(jar.getCookieHeader('https://example.com/'), '', 'foreign domain rejected');
+  });
+
+  await test('CookieJar.from reuses jars and wraps strings', async () => {
+    const jar = new CookieJar('a=1');
+    assert(CookieJar.from(jar) === jar, 'same jar');
+    assertEqual(CookieJar.from('b=2').toString(), 'b=2', 'wrapped string');
+  });
+
+  for (const backend of ['pure-JS', 'node:sqlite']) {
+    const pureJs = backend === 'pure-JS';
+    const skip = !pureJs && !hasNodeSqlite ? 'node:sqlite not available' : null;
+
+    console.log(`\nSQLite Reader (${backend}):`);
+
+    await test('reads all rows across interior and leaf pages', async () => {
+      const rows = sqlite.select(path.join(FIXTURES, 'reader.sqlite'), 'items', ['id', 'name', 'score'], {}, { pureJs });
+      assertEqual(rows.length, 204, 'row count');
+      const row = rows.find((r) => r.name === 'item-150');
+      assertEqual(row.id, 150, 'INTEGER PRIMARY KEY aliases rowid');
+      assertEqual(row.score, 37.5, 'REAL value');
+    }, { skip });
+
+    await test('filters with IN parameters', async () => {
+      const rows = sqlite.select(
+        path.join(FIXTURES, 'reader.sqlite'), 'items', ['name', 'data', 'extra'],
+        { name: ['big', 'unicode é漢', 'with-extra', "x' OR '1'='1"] }, { pureJs }
+      );
+      rows.sort((a, b) => a.name.localeCompare(b.name));
+      assertEqual(rows.map((r) => r.name).join('|'), 'big|unicode é漢|with-extra', 'matched names');
+      assert(Buffer.isBuffer(rows[0].data), 'BLOB as Buffer');
+      assertEqual(rows[0].data.length, 5120, 'overflow payload length');
+      assertEqual(rows[0].data[300], 300 % 256, 'overflow payload content');
+      assertEqual(rows[1].data, null, 'NULL value');
+      assertEqual(rows[0].extra, null, 'column added by ALTER TABLE defaults to NULL');
+      assertEqual(rows[2].extra, 'x', 'column added by ALTER TABLE');
+    }, { skip });
+
+    await test('large integers are returned as numbers', async () => {
+      const [row] = sqlite.select(
+        path.join(FIXTURES, 'reader.sqlite'), 'items', ['id', 'score'], { name: ['huge-rowid'] }, { pureJs }
+      );
+      assertEqual(row.id, 9007199254740992, '64-bit rowid');
+      assertEqual(row.score, 2 ** 40, 'REAL stored as integer');
+    }, { skip });
+
+    await test('applies committed WAL frames', async () => {
+      // Opening a WAL database creates a -shm file next to it
+      const rows = withDatabaseCopy(path.join(FIXTURES, 'wal.sqlite'), (dbPath) =>
+        sqlite.select(dbPath, 'kv', ['k', 'v'], {}, { pureJs })
+      );
+      rows.sort((a, b) => a.k.localeCompare(b.k));
+      assertEqual(rows.map((r) => `${r.k}=${r.v}`).join(','), 'a=in-wal,b=in-wal', 'rows');
+    }, { skip });
+
+    await test('unknown table reports SQLITE_ERROR', async () => {
+      try {
+        sqlite.select(path.join(FIXTURES, 'reader.sqlite'), 'missing', ['id'], {}, { pureJs: true });
+        throw new Error('should have thrown');
+      } catch (e) {
+        assertEqual(e.code, 'SQLITE_ERROR', 'error code');
+      }
+    }, { skip: pureJs ? null : 'pure-JS only' });
+  }
+
+  console.log(`\n${'─'.repeat(50)}`);
+  console.log(`Results: ${passed} passed, ${failed} failed, ${skipped} skipped\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch((e) => {
+  console.error('Test runner failed:', e);
+  process.exit(1);
+});
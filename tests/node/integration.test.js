@@ -12,9 +12,13 @@
  */
 
 const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const crypto = require('crypto');
-const { createServer, getOrCreateDoc, resetDocs, broadcastEvent, simulateRestore } = require('./mock-server');
+const {
+  createServer, getOrCreateDoc, resetDocs, broadcastEvent, applyServerUpdate, trimOpLog, simulateRestore,
+} = require('./mock-server');
 
 // ── Test framework ─────────────────────────────────────────────────────
 let passed = 0;
@@ -176,6 +180,9 @@ async function runTests() {
   console.log('\nStarting mock OT server...');
   const srv = await createServer(0); // random port
   const port = srv.server.address().port;
+  // Bridge modules used directly read the server URL when loaded
+  process.env.OVERLEAF_URL = `http://127.0.0.1:${port}`;
+  const auth = require('../../node/auth');
   console.log(`Mock server on port ${port}\n`);
 
   // ── Test Suite: Bridge Connection ────────────────────────────────
@@ -204,6 +211,173 @@ async function runTests() {
     assertEqual(result.permissionsLevel, 'owner', 'permissions');
   });
 
+  // ── Test Suite: Authentication ───────────────────────────────────
+  console.log('\nAuthentication:');
+
+  let loginCookie;
+
+  await test('login returns session cookie and project list', async () => {
+    const result = await bridge.request('login', { email: 'test@example.com', password: 'secret' });
+    assert(result.cookie, 'should return cookie');
+    assertIncludes(result.cookie, 'overleaf_session2=s%3Auser_', 'logged-in session cookie');
+    assert(!result.cookie.includes('anon_'), 'pre-login session replaced');
+    assertEqual(result.userId, 'user_test', 'user id');
+    assertEqual(result.userEmail, 'test@example.com', 'user email');
+    assert(result.csrfToken, 'csrf token');
+    assertEqual(result.projects.length, 1, 'project count');
+    assertEqual(result.projects[0].id, 'test_project', 'project id');
+    loginCookie = result.cookie;
+  });
+
+  await test('login with wrong password fails with LOGIN_FAILED', async () => {
+    try {
+      await bridge.request('login', { email: 'test@example.com', password: 'wrong' });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'LOGIN_FAILED', 'error code');
+      assertIncludes(e.message, 'incorrect', 'server message');
+    }
+  });
+
+  await test('login requires email and password', async () => {
+    try {
+      await bridge.request('login', { email: 'test@example.com' });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'MISSING_PARAM', 'error code');
+    }
+  });
+
+  await test('auth accepts the cookie returned by login', async () => {
+    const result = await bridge.request('auth', { cookie: loginCookie });
+    assertEqual(result.userId, 'user_test', 'user id');
+  });
+
+  await test('auth with unknown session fails with AUTH_FAILED', async () => {
+    try {
+      await bridge.request('auth', { cookie: 'overleaf_session2=s%3Abogus.sig' });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'AUTH_FAILED', 'error code');
+    }
+  });
+
+  // ── Test Suite: Cookie Jar ───────────────────────────────────────
+  console.log('\nCookie Jar:');
+
+  await test('handshake GCLB cookie is stored and sent on the websocket upgrade', async () => {
+    bridge.clearEvents();
+    const result = await bridge.request('connect', { cookie: loginCookie, projectId: 'test_project' });
+    assert(result.project, 'should receive project data');
+
+    const evt = await bridge.waitForEvent('cookieUpdated');
+    assertIncludes(evt.data.cookie, 'GCLB=gclb_', 'updated cookie has GCLB');
+    assertIncludes(evt.data.cookie, loginCookie, 'session cookie kept');
+
+    assert(!srv.web.socketCookies.handshake.includes('GCLB='), 'no GCLB before handshake');
+    assertIncludes(srv.web.socketCookies.upgrade, 'GCLB=gclb_', 'GCLB sent on upgrade');
+    assertIncludes(srv.web.socketCookies.upgrade, loginCookie, 'session sent on upgrade');
+  });
+
+  await test('rotated session cookie replaces the old one and emits cookieUpdated', async () => {
+    bridge.clearEvents();
+    srv.web.rotateSessions = true;
+    try {
+      const result = await bridge.request('auth', { cookie: loginCookie });
+      assertEqual(result.userId, 'user_test', 'user id');
+    } finally {
+      srv.web.rotateSessions = false;
+    }
+
+    const evt = await bridge.waitForEvent('cookieUpdated');
+    assert(!evt.data.cookie.includes(loginCookie), 'old session value replaced');
+    assertEqual(evt.data.cookie.match(/overleaf_session2=/g).length, 1, 'single session cookie');
+    assertIncludes(evt.data.cookie, 'GCLB=gclb_', 'GCLB kept');
+    assert(!srv.web.sessions[loginCookie.replace('overleaf_session2=', '')], 'old session invalidated');
+  });
+
+  await test('stale cookie string keeps using the rotated session', async () => {
+    // The editor may still send the cookie it had before processing cookieUpdated
+    const result = await bridge.request('auth', { cookie: loginCookie });
+    assertEqual(result.userId, 'user_test', 'user id');
+  });
+
+  // ── Test Suite: Session Expiry ───────────────────────────────────
+  console.log('\nSession Expiry:');
+
+  const expiredCookie = 'overleaf_session2=s%3Aexpired.sig';
+
+  await test('login redirect is reported as AUTH_EXPIRED', async () => {
+    bridge.clearEvents();
+    try {
+      await bridge.request('getThreads', { cookie: expiredCookie, projectId: 'test_project' });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'AUTH_EXPIRED', 'error code');
+    }
+    const evt = await bridge.waitForEvent('sessionExpired');
+    assert(evt.data.message, 'event has message');
+  });
+
+  await test('401 is reported as AUTH_EXPIRED without a second sessionExpired', async () => {
+    try {
+      await bridge.request('compile', { cookie: expiredCookie, csrfToken: 'x', projectId: 'test_project' });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'AUTH_EXPIRED', 'error code');
+    }
+    await new Promise(r => setTimeout(r, 200));
+    assert(!bridge.events.some(e => e.event === 'sessionExpired'), 'sessionExpired sent only once');
+  });
+
+  await test('rejected socket handshake is reported as AUTH_EXPIRED after re-login', async () => {
+    const { cookie } = await bridge.request('login', { email: 'test@example.com', password: 'secret' });
+    const threads = await bridge.request('getThreads', { cookie, projectId: 'test_project' });
+    assertEqual(JSON.stringify(threads), '{}', 'authenticated request works');
+
+    srv.web.requireSocketSession = true;
+    bridge.clearEvents();
+    try {
+      await bridge.request('connect', { cookie: expiredCookie, projectId: 'test_project' });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'AUTH_EXPIRED', 'error code');
+    } finally {
+      srv.web.requireSocketSession = false;
+    }
+    await bridge.waitForEvent('sessionExpired');
+
+    // Reconnect with the valid session for the remaining suites
+    const result = await bridge.request('connect', { cookie, projectId: 'test_project' });
+    assert(result.project, 'should receive project data');
+  });
+
+  await test('403 with a live session is not reported as AUTH_EXPIRED', async () => {
+    const { cookie } = await bridge.request('login', { email: 'test@example.com', password: 'secret' });
+    srv.web.forbiddenProjects = ['other_project'];
+    bridge.clearEvents();
+    try {
+      await bridge.request('getThreads', { cookie, projectId: 'other_project' });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'THREADS_FAILED', 'error code');
+    }
+    await new Promise(r => setTimeout(r, 200));
+    assert(!bridge.events.some(e => e.event === 'sessionExpired'), 'no sessionExpired');
+  });
+
+  await test('403 with a dead session is reported as AUTH_EXPIRED', async () => {
+    try {
+      await bridge.request('getThreads', { cookie: expiredCookie, projectId: 'other_project' });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'AUTH_EXPIRED', 'error code');
+    } finally {
+      srv.web.forbiddenProjects = [];
+    }
+    await bridge.waitForEvent('sessionExpired');
+  });
+
   // ── Test Suite: Document Operations ──────────────────────────────
   console.log('\nDocument Operations:');
 
@@ -440,6 +614,17 @@ async function runTests() {
     assertEqual(newDocEvt.data.meta.kind, 'file-restore', 'reciveNewDoc meta.kind');
   });
 
+  await test('restore is also sent as a single docRestored event', async () => {
+    const evt = bridge.events.find(e => e.event === 'docRestored');
+    assert(evt, 'should receive docRestored event');
+    assertEqual(evt.data.oldDocId, 'doc_restore_old', 'old doc id');
+    assertEqual(evt.data.newDocId, 'doc_restore_new', 'new doc id');
+    assertEqual(evt.data.path, '/main.tex', 'path');
+    assertEqual(evt.data.parentFolderId, 'root_folder', 'parent folder');
+    const order = bridge.events.map(e => e.event).filter(e => e !== 'otUpdateApplied');
+    assert(order.indexOf('docRestored') > order.indexOf('reciveNewDoc'), 'docRestored follows reciveNewDoc');
+  });
+
   await test('new doc is joinable after restore', async () => {
     const result = await bridge.request('joinDoc', { docId: 'doc_restore_new' });
     assert(result.lines, 'should have lines');
@@ -691,6 +876,1143 @@ async function runTests() {
     assertEqual(evt.data.docId, 'new_root_doc_id', 'new root doc id');
   });
 
+  await test('projectNameUpdated event is forwarded', async () => {
+    bridge.clearEvents();
+    // Real Overleaf signature: projectNameUpdated(newName)
+    broadcastEvent('projectNameUpdated', 'Renamed Project');
+    await new Promise(r => setTimeout(r, 200));
+
+    const evt = bridge.events.find(e => e.event === 'projectNameUpdated');
+    assert(evt, 'should receive projectNameUpdated event');
+    assertEqual(evt.data.name, 'Renamed Project', 'new project name');
+  });
+
+  // ── Test Suite: Project Structure ────────────────────────────────
+  console.log('\nProject Structure:');
+
+  const web = await bridge.request('login', { email: 'test@example.com', password: 'secret' });
+
+  await test('createFolder broadcasts reciveNewFolder', async () => {
+    bridge.clearEvents();
+    const folder = await bridge.request('createFolder', {
+      cookie: web.cookie,
+      csrfToken: web.csrfToken,
+      projectId: 'test_project',
+      name: 'chapters',
+      parentFolderId: 'root_folder',
+    });
+    assertEqual(folder.name, 'chapters', 'created folder name');
+
+    // Real Overleaf signature: reciveNewFolder(parentFolderId, folder, userId)
+    const evt = await bridge.waitForEvent('reciveNewFolder');
+    assertEqual(evt.data.parentFolderId, 'root_folder', 'parent folder');
+    assertEqual(evt.data.folder._id, folder._id, 'folder id');
+    assertEqual(evt.data.folder.name, 'chapters', 'folder name');
+    assertEqual(evt.data.userId, web.userId, 'user id');
+  });
+
+  await test('renameEntity broadcasts reciveEntityRename', async () => {
+    bridge.clearEvents();
+    const result = await bridge.request('renameEntity', {
+      cookie: web.cookie,
+      csrfToken: web.csrfToken,
+      projectId: 'test_project',
+      entityId: 'doc_chapter1',
+      entityType: 'doc',
+      newName: 'introduction.tex',
+    });
+    assertEqual(JSON.stringify(result), '{}', 'empty result');
+
+    // Real Overleaf signature: reciveEntityRename(entityId, newName)
+    const evt = await bridge.waitForEvent('reciveEntityRename');
+    assertEqual(evt.data.entityId, 'doc_chapter1', 'entity id');
+    assertEqual(evt.data.name, 'introduction.tex', 'new name');
+  });
+
+  await test('moveEntity posts folder_id and reciveEntityMove is forwarded', async () => {
+    bridge.clearEvents();
+    const result = await bridge.request('moveEntity', {
+      cookie: web.cookie,
+      csrfToken: web.csrfToken,
+      projectId: 'test_project',
+      entityId: 'doc_chapter1',
+      entityType: 'doc',
+      folderId: 'folder_sections',
+    });
+    assertEqual(JSON.stringify(result), '{}', 'empty result');
+
+    const evt = await bridge.waitForEvent('reciveEntityMove');
+    assertEqual(evt.data.entityId, 'doc_chapter1', 'entity id');
+    assertEqual(evt.data.folderId, 'folder_sections', 'destination folder');
+  });
+
+  await test('moveEntity requires folderId', async () => {
+    try {
+      await bridge.request('moveEntity', {
+        cookie: web.cookie, csrfToken: web.csrfToken, projectId: 'test_project', entityId: 'x', entityType: 'doc',
+      });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'MISSING_PARAM', 'error code');
+    }
+  });
+
+  // ── Test Suite: Compile Options ──────────────────────────────────
+  console.log('\nCompile Options:');
+
+  const compileParams = { cookie: web.cookie, csrfToken: web.csrfToken, projectId: 'test_project' };
+
+  await test('compile defaults to a silent, non-draft compile', async () => {
+    const result = await bridge.request('compile', compileParams);
+    assertEqual(result.status, 'success', 'status');
+    const body = srv.web.lastCompile;
+    assertEqual(body.draft, false, 'draft');
+    assertEqual(body.stopOnFirstError, false, 'stopOnFirstError');
+    assertEqual(body.check, 'silent', 'check');
+    assert(!('rootDoc_id' in body), 'no root doc override');
+    assert(!('compiler' in body), 'no compiler override');
+  });
+
+  await test('compile passes draft, rootDocId, compiler, stopOnFirstError and check', async () => {
+    await bridge.request('compile', {
+      ...compileParams,
+      draft: true,
+      rootDocId: 'doc_chapter1',
+      compiler: 'xelatex',
+      stopOnFirstError: true,
+      check: 'error',
+    });
+    const body = srv.web.lastCompile;
+    assertEqual(body.draft, true, 'draft');
+    assertEqual(body.rootDoc_id, 'doc_chapter1', 'rootDoc_id');
+    assertEqual(body.compiler, 'xelatex', 'compiler');
+    assertEqual(body.stopOnFirstError, true, 'stopOnFirstError');
+    assertEqual(body.check, 'error', 'check');
+  });
+
+  await test('compile rejects an unknown compiler or check mode', async () => {
+    for (const extra of [{ compiler: 'tex' }, { check: 'strict' }]) {
+      try {
+        await bridge.request('compile', { ...compileParams, ...extra });
+        throw new Error('should have failed');
+      } catch (e) {
+        assertEqual(e.code, 'INVALID_PARAM', `error code for ${JSON.stringify(extra)}`);
+      }
+    }
+  });
+
+  await test('compile returns the log and parsed diagnostics', async () => {
+    srv.web.compileLog = [
+      '(./main.tex',
+      '! Undefined control sequence.',
+      'l.5 \\foo',
+      '          ',
+      '',
+      'LaTeX Warning: Citation `knuth1984\' on page 1 undefined on input line 8.',
+      '',
+      ')',
+    ].join('\n');
+    try {
+      const result = await bridge.request('compile', compileParams);
+      assertEqual(result.log, srv.web.compileLog, 'raw log');
+      assertEqual(result.diagnostics.length, 2, 'diagnostic count');
+      assertEqual(result.diagnostics[0].severity, 'error', 'error severity');
+      assertEqual(result.diagnostics[0].file, 'main.tex', 'error file');
+      assertEqual(result.diagnostics[0].line, 5, 'error line');
+      assertEqual(result.diagnostics[1].severity, 'warning', 'warning severity');
+      assertEqual(result.diagnostics[1].line, 8, 'warning line');
+    } finally {
+      srv.web.compileLog = null;
+    }
+  });
+
+  await test('fetchCompileOutputs downloads selected outputs with bounded concurrency', async () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'overleaf-outputs-'));
+    srv.web.compileOutputs = {
+      'output.pdf': '%PDF-1.5',
+      'output.aux': '\\relax',
+      'output.bbl': '\\begin{thebibliography}{1}',
+      'output.blg': 'This is BibTeX, Version 0.99d',
+      'output.fls': 'PWD /compile',
+      'output.synctex.gz': 'synctex',
+      'chapters/intro.aux': '\\relax % intro',
+    };
+    try {
+      await bridge.request('compile', compileParams);
+      const result = await bridge.request('fetchCompileOutputs', { ...compileParams, outputDir, concurrency: 2 });
+      assertEqual(result.outputDir, path.join(outputDir, 'test_project'), 'per-project directory');
+      assertEqual(
+        result.files.map((f) => f.path).sort().join(','),
+        'chapters/intro.aux,output.aux,output.bbl,output.blg,output.fls,output.synctex.gz',
+        'downloaded files (no pdf)'
+      );
+      const intro = result.files.find((f) => f.path === 'chapters/intro.aux');
+      assertEqual(intro.type, 'aux', 'type');
+      assertEqual(fs.readFileSync(intro.localPath, 'utf-8'), '\\relax % intro', 'nested file content');
+      assertEqual(srv.web.outputRequests.maxActive, 2, 'at most 2 downloads in flight');
+
+      const bbl = await bridge.request('fetchCompileOutputs', { ...compileParams, outputDir, types: ['bbl'] });
+      assertEqual(bbl.files.length, 1, 'only bbl');
+      assertEqual(fs.readFileSync(bbl.files[0].localPath, 'utf-8'), '\\begin{thebibliography}{1}', 'bbl content');
+    } finally {
+      srv.web.compileOutputs = {};
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+
+  await test('fetchCompileOutputs rejects unknown types and projects never compiled', async () => {
+    try {
+      await bridge.request('fetchCompileOutputs', { ...compileParams, types: ['pdf'] });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'INVALID_PARAM', 'unknown type');
+    }
+    try {
+      await bridge.request('fetchCompileOutputs', { ...compileParams, projectId: 'never_compiled' });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'NO_COMPILE', 'no compile');
+    }
+  });
+
+  await test('syncFromCode maps a source line to a PDF position of the last build', async () => {
+    await bridge.request('compile', compileParams);
+    const pos = await bridge.request('syncFromCode', { ...compileParams, file: 'main.tex', line: 55, column: 3 });
+    assertEqual(pos.page, 2, 'page');
+    assertEqual(pos.h, 72, 'h');
+    assertEqual(pos.v, 148, 'v');
+    assertEqual(pos.width, 343.71, 'width');
+    assertEqual(pos.height, 9.96, 'height');
+    assertEqual(srv.web.lastSync.clsiserverid, 'clsi-mock-1', 'clsiserverid passed');
+    assertEqual(srv.web.lastSync.buildId, `mock-build-${srv.web.builds}`, 'buildId of the last compile');
+    assertEqual(srv.web.lastSync.column, '3', 'column passed');
+  });
+
+  await test('syncFromPdf maps a PDF position back to file and line', async () => {
+    const pos = await bridge.request('syncFromPdf', { ...compileParams, page: 2, h: 72, v: 148.5 });
+    assertEqual(pos.file, 'main.tex', 'file without ./');
+    assertEqual(pos.line, 55, 'line');
+    assertEqual(pos.column, -1, 'column');
+  });
+
+  await test('syncFromCode without a PDF position fails with SYNC_FAILED', async () => {
+    try {
+      await bridge.request('syncFromCode', { ...compileParams, file: 'other.tex', line: 1 });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'SYNC_FAILED', 'error code');
+    }
+  });
+
+  await test('sync requires a compile of the project', async () => {
+    try {
+      await bridge.request('syncFromPdf', { ...compileParams, projectId: 'never_compiled', page: 1, h: 0, v: 0 });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'NO_COMPILE', 'error code');
+    }
+  });
+
+  await test('compile of an unchanged build reuses the downloaded log', async () => {
+    srv.web.compileLog = 'LaTeX Warning: There were undefined references.\n';
+    srv.web.reuseBuild = true;
+    try {
+      const first = await bridge.request('compile', compileParams);
+      const before = srv.web.outputRequests.total;
+      const second = await bridge.request('compile', compileParams);
+      assertEqual(srv.web.outputRequests.total, before, 'no log download for the same build');
+      assertEqual(second.log, first.log, 'same log');
+      assertEqual(second.diagnostics.length, 1, 'diagnostics kept');
+    } finally {
+      srv.web.compileLog = null;
+      srv.web.reuseBuild = false;
+    }
+  });
+
+  await test('failed log download returns an empty log and is retried next compile', async () => {
+    srv.web.compileLog = 'LaTeX Warning: There were undefined references.\n';
+    srv.web.failedOutputs = ['output.log'];
+    try {
+      const first = await bridge.request('compile', compileParams);
+      assertEqual(first.log, '', 'error page not used as the log');
+      assertEqual(first.diagnostics.length, 0, 'no diagnostics');
+      // Same build again: its log must not come from the failed download
+      srv.web.failedOutputs = [];
+      srv.web.reuseBuild = true;
+      const second = await bridge.request('compile', compileParams);
+      assertEqual(second.log, srv.web.compileLog, 'log downloaded again');
+      assertEqual(second.diagnostics.length, 1, 'diagnostics');
+    } finally {
+      srv.web.compileLog = null;
+      srv.web.reuseBuild = false;
+      srv.web.failedOutputs = [];
+    }
+  });
+
+  await test('downloadUrl skips build outputs that are already on disk', async () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'overleaf-pdf-'));
+    srv.web.compileOutputs = { 'output.pdf': '%PDF-1.5 mock' };
+    try {
+      const compile = await bridge.request('compile', compileParams);
+      const pdf = compile.outputFiles.find((f) => f.path === 'output.pdf');
+      const params = { cookie: web.cookie, url: `http://127.0.0.1:${port}${pdf.url}`, fileName: 'project.pdf', outputDir };
+
+      const first = await bridge.request('downloadUrl', params);
+      assertEqual(first.cached, false, 'first download');
+      assertEqual(fs.readFileSync(first.path, 'utf-8'), '%PDF-1.5 mock', 'content');
+      const before = srv.web.outputRequests.total;
+      const second = await bridge.request('downloadUrl', params);
+      assertEqual(second.cached, true, 'second download reused');
+      assertEqual(srv.web.outputRequests.total, before, 'no request for the same build');
+
+      // A damaged local copy is downloaded again
+      fs.writeFileSync(first.path, 'truncated');
+      const third = await bridge.request('downloadUrl', params);
+      assertEqual(third.cached, false, 'size mismatch re-downloads');
+      assertEqual(fs.readFileSync(third.path, 'utf-8'), '%PDF-1.5 mock', 'restored content');
+    } finally {
+      srv.web.compileOutputs = {};
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+
+  await test('downloadUrl revalidates other URLs with If-None-Match', async () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'overleaf-file-'));
+    srv.web.files = { file_logo: 'PNG v1' };
+    srv.web.fileRequests = [];
+    try {
+      const params = {
+        cookie: web.cookie, url: `http://127.0.0.1:${port}/project/test_project/file/file_logo`, fileName: 'logo.png', outputDir,
+      };
+      await bridge.request('downloadUrl', params);
+      const second = await bridge.request('downloadUrl', params);
+      assertEqual(second.cached, true, 'not modified');
+      srv.web.files.file_logo = 'PNG v2';
+      const third = await bridge.request('downloadUrl', params);
+      assertEqual(third.cached, false, 'modified');
+      assertEqual(fs.readFileSync(third.path, 'utf-8'), 'PNG v2', 'new content');
+      assertEqual(srv.web.fileRequests.join(','), '200,304,200', 'conditional requests');
+    } finally {
+      srv.web.files = {};
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+
+  await test('getLastCompile returns the cached result and downloaded PDF', async () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'overleaf-pdf-'));
+    srv.web.compileOutputs = { 'output.pdf': '%PDF-1.5 mock' };
+    srv.web.compileLog = '(./main.tex\n! Undefined control sequence.\nl.3 \\foo\n\n)';
+    try {
+      const compile = await bridge.request('compile', compileParams);
+      let last = await bridge.request('getLastCompile', { projectId: 'test_project' });
+      assertEqual(last.buildId, `mock-build-${srv.web.builds}`, 'build id');
+      assertEqual(last.clsiServerId, 'clsi-mock-1', 'clsi server id');
+      assertEqual(last.log, compile.log, 'log');
+      assertEqual(last.diagnostics.length, 1, 'diagnostics');
+      assertEqual(last.pdfPath, null, 'PDF not downloaded yet');
+
+      const pdf = compile.outputFiles.find((f) => f.path === 'output.pdf');
+      const download = await bridge.request('downloadUrl', {
+        cookie: web.cookie, url: `http://127.0.0.1:${port}${pdf.url}`, fileName: 'project.pdf', outputDir,
+      });
+      last = await bridge.request('getLastCompile', { projectId: 'test_project' });
+      assertEqual(last.pdfPath, download.path, 'downloaded PDF');
+    } finally {
+      srv.web.compileOutputs = {};
+      srv.web.compileLog = null;
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+
+  await test('getLastCompile fails with NO_COMPILE for a project never compiled', async () => {
+    try {
+      await bridge.request('getLastCompile', { projectId: 'never_compiled' });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'NO_COMPILE', 'error code');
+    }
+  });
+
+  await test('stopCompile aborts the compile in flight and stops it on the server', async () => {
+    srv.web.compileDelay = 2000;
+    srv.web.compileStops = 0;
+    try {
+      const compiling = bridge.request('compile', compileParams).then(() => null, (e) => e);
+      await new Promise(r => setTimeout(r, 100));
+      const result = await bridge.request('stopCompile', compileParams);
+      assertEqual(result.wasRunning, true, 'compile was running');
+      const err = await compiling;
+      assert(err, 'compile should have failed');
+      assertEqual(err.code, 'COMPILE_STOPPED', 'error code');
+      assertEqual(srv.web.compileStops, 1, 'server stop requested');
+    } finally {
+      srv.web.compileDelay = 0;
+    }
+  });
+
+  await test('a newer compile supersedes the one in flight', async () => {
+    srv.web.compileDelay = 300;
+    srv.web.compileStops = 0;
+    try {
+      const first = bridge.request('compile', compileParams).then(() => null, (e) => e);
+      await new Promise(r => setTimeout(r, 100));
+      const second = await bridge.request('compile', compileParams);
+      const err = await first;
+      assert(err, 'first compile should have failed');
+      assertEqual(err.code, 'COMPILE_SUPERSEDED', 'error code');
+      assertEqual(second.status, 'success', 'newer compile succeeds');
+      assertEqual(srv.web.compileStops, 1, 'older compile stopped on the server');
+    } finally {
+      srv.web.compileDelay = 0;
+    }
+  });
+
+  await test('of compiles sent back to back only the last one resolves', async () => {
+    srv.web.compileDelay = 300;
+    try {
+      const results = await Promise.all([1, 2, 3].map(() =>
+        bridge.request('compile', compileParams).then((r) => r.status, (e) => e.code)));
+      assertEqual(results.join(','), 'COMPILE_SUPERSEDED,COMPILE_SUPERSEDED,success', 'compile outcomes');
+    } finally {
+      srv.web.compileDelay = 0;
+    }
+  });
+
+  await test('a newer compile goes ahead when the older one cannot be stopped', async () => {
+    srv.web.compileDelay = 300;
+    srv.web.compileStops = 0;
+    srv.web.stopFails = true;
+    try {
+      const first = bridge.request('compile', compileParams).then(() => null, (e) => e);
+      await new Promise(r => setTimeout(r, 100));
+      const second = await bridge.request('compile', compileParams);
+      assertEqual((await first).code, 'COMPILE_SUPERSEDED', 'older compile superseded');
+      assertEqual(second.status, 'success', 'newer compile succeeds');
+      assertEqual(srv.web.compileStops, 1, 'stop was attempted');
+    } finally {
+      srv.web.compileDelay = 0;
+      srv.web.stopFails = false;
+    }
+  });
+
+  await test('stopCompile with nothing running only asks the server', async () => {
+    const result = await bridge.request('stopCompile', compileParams);
+    assertEqual(result.wasRunning, false, 'nothing running');
+  });
+
+  await test('clearCompileCache deletes the output on the last compile server', async () => {
+    await bridge.request('compile', compileParams);
+    srv.web.clearedOutputs = [];
+    const result = await bridge.request('clearCompileCache', compileParams);
+    assertEqual(JSON.stringify(result), '{}', 'empty result');
+    assertEqual(srv.web.clearedOutputs.join(','), '?clsiserverid=clsi-mock-1', 'DELETE with clsiserverid');
+    try {
+      await bridge.request('getLastCompile', { projectId: 'test_project' });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'NO_COMPILE', 'cached compile dropped');
+    }
+  });
+
+  await test('wordCount returns totals and per-file counts', async () => {
+    // Shape of Overleaf's texcount response
+    const texcount = (textWords, headWords, mathInline) => ({
+      encode: 'utf8', textWords, headWords, outside: 2, headers: 3, elements: 1,
+      mathInline, mathDisplay: 1, errors: 0, messages: '',
+    });
+    srv.web.wordCounts = {
+      '': texcount(1200, 14, 9),
+      'main.tex': texcount(200, 4, 1),
+      'chapters/intro.tex': texcount(1000, 10, 8),
+    };
+    await bridge.request('compile', compileParams);
+    const result = await bridge.request('wordCount', {
+      cookie: web.cookie, projectId: 'test_project', rootDocId: 'doc_chapter1', files: ['main.tex', 'chapters/intro.tex'],
+    });
+    assertEqual(result.textWords, 1200, 'text words');
+    assertEqual(result.headWords, 14, 'header words');
+    assertEqual(result.outsideWords, 2, 'outside words');
+    assertEqual(result.floats, 1, 'floats');
+    assertEqual(result.mathInline, 9, 'inline math');
+    assertEqual(result.mathDisplay, 1, 'display math');
+    assertEqual(result.files.length, 2, 'per-file counts');
+    assertEqual(result.files[1].file, 'chapters/intro.tex', 'file path');
+    assertEqual(result.files[1].textWords, 1000, 'file text words');
+    assertEqual(srv.web.lastWordCount.clsiserverid, 'clsi-mock-1', 'clsiserverid of the last compile');
+    assertEqual(srv.web.lastWordCount.rootDocId, 'doc_chapter1', 'root doc id');
+  });
+
+  await test('wordCount reports WORDCOUNT_FAILED for a server error', async () => {
+    srv.web.wordCounts = {};
+    try {
+      await bridge.request('wordCount', { cookie: web.cookie, projectId: 'test_project' });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'WORDCOUNT_FAILED', 'error code');
+    }
+  });
+
+  await test('setRootDoc updates settings and rootDocUpdated is forwarded', async () => {
+    bridge.clearEvents();
+    const result = await bridge.request('setRootDoc', { ...compileParams, docId: 'doc_chapter1' });
+    assertEqual(JSON.stringify(result), '{}', 'empty result');
+    assertEqual(srv.web.settings.test_project.rootDocId, 'doc_chapter1', 'stored root doc');
+
+    const evt = await bridge.waitForEvent('rootDocUpdated');
+    assertEqual(evt.data.docId, 'doc_chapter1', 'root doc id');
+  });
+
+  await test('setCompiler updates settings and compilerUpdated is forwarded', async () => {
+    bridge.clearEvents();
+    await bridge.request('setCompiler', { ...compileParams, compiler: 'lualatex' });
+    assertEqual(srv.web.settings.test_project.compiler, 'lualatex', 'stored compiler');
+
+    // Real Overleaf signature: compilerUpdated(compiler)
+    const evt = await bridge.waitForEvent('compilerUpdated');
+    assertEqual(evt.data.compiler, 'lualatex', 'compiler');
+  });
+
+  await test('setCompiler rejects an unknown compiler', async () => {
+    try {
+      await bridge.request('setCompiler', { ...compileParams, compiler: 'context' });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'INVALID_PARAM', 'error code');
+    }
+  });
+
+  // ── Test Suite: Project Archive ──────────────────────────────────
+  console.log('\nProject Archive:');
+
+  const archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'overleaf-zip-test-'));
+
+  await test('downloadProjectZip saves the archive', async () => {
+    srv.web.zipEntries = { 'main.tex': '\\documentclass{article}\n' };
+    const result = await bridge.request('downloadProjectZip', {
+      cookie: web.cookie, projectId: 'test_project', outputDir: archiveDir,
+    });
+    assertEqual(result.path, path.join(archiveDir, 'overleaf_test_project.zip'), 'default file name');
+    assertEqual(result.size, fs.statSync(result.path).size, 'size');
+    assertEqual(fs.readFileSync(result.path).subarray(0, 2).toString(), 'PK', 'zip signature');
+    assertEqual(result.files, undefined, 'not extracted');
+  });
+
+  await test('downloadProjectZip extracts folders and binary files', async () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff]);
+    srv.web.zipEntries = {
+      'main.tex': '\\input{chapters/intro}\n'.repeat(50),
+      'chapters/': '',
+      'chapters/intro.tex': 'Einführung\n',
+      'figures/logo.png': png,
+    };
+    const extractTo = path.join(archiveDir, 'snapshot');
+    const result = await bridge.request('downloadProjectZip', {
+      cookie: web.cookie, projectId: 'test_project', outputDir: archiveDir, fileName: 'snapshot.zip', extractTo,
+    });
+    assertEqual(result.path, path.join(archiveDir, 'snapshot.zip'), 'custom file name');
+    assertEqual(result.extractDir, extractTo, 'extract dir');
+    assertEqual(result.files.join(','), 'main.tex,chapters/intro.tex,figures/logo.png', 'extracted files');
+    assertEqual(fs.readFileSync(path.join(extractTo, 'chapters/intro.tex'), 'utf-8'), 'Einführung\n', 'utf-8 text');
+    assert(fs.readFileSync(path.join(extractTo, 'figures/logo.png')).equals(png), 'binary content');
+  });
+
+  await test('downloadProjectZip refuses entries outside the target directory', async () => {
+    srv.web.zipEntries = { 'main.tex': 'safe\n', 'figures/../../evil.tex': 'evil\n' };
+    const extractTo = path.join(archiveDir, 'unsafe');
+    try {
+      await bridge.request('downloadProjectZip', {
+        cookie: web.cookie, projectId: 'test_project', outputDir: archiveDir, extractTo,
+      });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'UNSAFE_PATH', 'error code');
+    }
+    assert(!fs.existsSync(path.join(archiveDir, 'evil.tex')), 'nothing written outside');
+    assert(!fs.existsSync(path.join(extractTo, 'main.tex')), 'nothing written inside either');
+  });
+
+  await test('downloadProjectZip refuses to write through symbolic links in the target directory', async () => {
+    srv.web.zipEntries = { 'main.tex': 'safe\n', 'chapters/intro.tex': 'evil\n' };
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'overleaf-zip-outside-'));
+    const extractTo = path.join(archiveDir, 'linked');
+    fs.mkdirSync(extractTo);
+    fs.symlinkSync(outside, path.join(extractTo, 'chapters'));
+    try {
+      await bridge.request('downloadProjectZip', {
+        cookie: web.cookie, projectId: 'test_project', outputDir: archiveDir, extractTo,
+      });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'UNSAFE_PATH', 'error code');
+    }
+    assert(!fs.existsSync(path.join(outside, 'intro.tex')), 'nothing written through the link');
+    assert(!fs.existsSync(path.join(extractTo, 'main.tex')), 'nothing written inside either');
+    fs.rmSync(outside, { recursive: true });
+  });
+
+  await test('downloadProjectZip reports DOWNLOAD_FAILED without an archive', async () => {
+    srv.web.zipEntries = null;
+    try {
+      await bridge.request('downloadProjectZip', { cookie: web.cookie, projectId: 'test_project', outputDir: archiveDir });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'DOWNLOAD_FAILED', 'error code');
+    }
+  });
+
+  await test('downloadProjectZip reports CORRUPT_ZIP for a damaged archive', async () => {
+    srv.web.zipEntries = Buffer.from('PK\x03\x04 truncated');
+    try {
+      await bridge.request('downloadProjectZip', {
+        cookie: web.cookie, projectId: 'test_project', outputDir: archiveDir, extractTo: path.join(archiveDir, 'damaged'),
+      });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'CORRUPT_ZIP', 'error code');
+    }
+  });
+
+  fs.rmSync(archiveDir, { recursive: true, force: true });
+
+  // ── Test Suite: Downloads ────────────────────────────────────────
+  console.log('\nDownloads:');
+
+  const downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'overleaf-download-test-'));
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const partFiles = () => fs.readdirSync(downloadDir).filter((f) => f.endsWith('.part'));
+
+  await test('downloads follow redirect chains', async () => {
+    srv.web.files = { file_redirected: 'PNG data' };
+    const result = await bridge.request('downloadUrl', {
+      cookie: web.cookie, url: `${baseUrl}/redirect/3/project/test_project/file/file_redirected`,
+      fileName: 'redirected.png', outputDir: downloadDir,
+    });
+    assertEqual(fs.readFileSync(result.path, 'utf-8'), 'PNG data', 'content after 3 redirects');
+
+    const file = await bridge.request('downloadFile', {
+      cookie: web.cookie, projectId: 'test_project', fileId: 'file_redirected', fileName: 'direct.png', outputDir: downloadDir,
+    });
+    assertEqual(file.path, path.join(downloadDir, 'overleaf_direct.png'), 'path');
+    assertEqual(fs.readFileSync(file.path, 'utf-8'), 'PNG data', 'content');
+  });
+
+  await test('too many redirects fail the download', async () => {
+    try {
+      await bridge.request('downloadUrl', {
+        cookie: web.cookie, url: `${baseUrl}/redirect/6/project/test_project/file/file_redirected`,
+        fileName: 'loop.png', outputDir: downloadDir,
+      });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'DOWNLOAD_FAILED', 'error code');
+    }
+    assert(!fs.existsSync(path.join(downloadDir, 'overleaf_loop.png')), 'no file written');
+  });
+
+  await test('error responses never replace a downloaded file', async () => {
+    const params = {
+      cookie: web.cookie, projectId: 'test_project', fileId: 'file_redirected', fileName: 'kept.png', outputDir: downloadDir,
+    };
+    await bridge.request('downloadFile', params);
+    srv.web.files = {};
+    try {
+      await bridge.request('downloadFile', params);
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'DOWNLOAD_FAILED', 'error code');
+    }
+    assertEqual(fs.readFileSync(path.join(downloadDir, 'overleaf_kept.png'), 'utf-8'), 'PNG data', 'previous content');
+    assertEqual(partFiles().length, 0, 'no temporary files');
+  });
+
+  await test('truncated bodies fail and leave no partial file', async () => {
+    try {
+      await bridge.request('downloadUrl', {
+        cookie: web.cookie, url: `${baseUrl}/slow-download?size=100&length=500`, fileName: 'short.bin', outputDir: downloadDir,
+      });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'DOWNLOAD_FAILED', 'error code');
+    }
+    assert(!fs.existsSync(path.join(downloadDir, 'overleaf_short.bin')), 'no file written');
+    assertEqual(partFiles().length, 0, 'no temporary files');
+  });
+
+  await test('slow downloads report downloadProgress', async () => {
+    bridge.clearEvents();
+    const result = await bridge.request('downloadUrl', {
+      cookie: web.cookie, url: `${baseUrl}/slow-download?size=20000&chunks=5&interval=100`,
+      fileName: 'large.bin', outputDir: downloadDir,
+    });
+    assertEqual(fs.statSync(result.path).size, 100000, 'size');
+    // Progress events are sent before the result
+    const progress = bridge.events.filter((e) => e.event === 'downloadProgress');
+    const done = progress[progress.length - 1];
+    assertEqual(done.data.done, true, 'last event is done');
+    assertEqual(done.data.path, result.path, 'path');
+    assertEqual(done.data.received, 100000, 'received');
+    assertEqual(done.data.total, 100000, 'total');
+    const partial = progress.filter((e) => !e.data.done);
+    assert(partial.length >= 1, 'progress before completion');
+    assert(partial.every((e) => e.data.received < 100000), 'partial byte counts');
+  });
+
+  await test('quick downloads send no progress events', async () => {
+    bridge.clearEvents();
+    await bridge.request('downloadUrl', {
+      cookie: web.cookie, url: `${baseUrl}/slow-download?size=1000`, fileName: 'small.bin', outputDir: downloadDir,
+    });
+    await new Promise(r => setTimeout(r, 50));
+    assertEqual(bridge.events.filter((e) => e.event === 'downloadProgress').length, 0, 'no events');
+  });
+
+  await test('stalled downloads time out', async () => {
+    try {
+      await bridge.request('downloadUrl', {
+        cookie: web.cookie, url: `${baseUrl}/slow-download?size=100&chunks=2&stall=1`,
+        fileName: 'stalled.bin', outputDir: downloadDir, timeout: 300,
+      });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'TIMEOUT', 'error code');
+    }
+    assert(!fs.existsSync(path.join(downloadDir, 'overleaf_stalled.bin')), 'no file written');
+    assertEqual(partFiles().length, 0, 'no temporary files');
+  });
+
+  await test('failed slow downloads end their progress with the error', async () => {
+    bridge.clearEvents();
+    try {
+      await bridge.request('downloadUrl', {
+        cookie: web.cookie, url: `${baseUrl}/slow-download?size=100&chunks=5&interval=150&length=1000`,
+        fileName: 'failed.bin', outputDir: downloadDir,
+      });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'DOWNLOAD_FAILED', 'error code');
+    }
+    const progress = bridge.events.filter((e) => e.event === 'downloadProgress');
+    assert(progress.length >= 2, 'progress and final event');
+    assertEqual(progress.filter((e) => e.data.done).length, 1, 'one final event');
+    assertEqual(progress[progress.length - 1].data.error, 'DOWNLOAD_FAILED', 'error code in the final event');
+  });
+
+  await test('cancelDownload aborts a download in flight', async () => {
+    const downloading = bridge.request('downloadUrl', {
+      cookie: web.cookie, url: `${baseUrl}/slow-download?size=100&chunks=2&stall=1`,
+      fileName: 'cancelled.bin', outputDir: downloadDir,
+    }).then(() => null, (e) => e);
+    await new Promise(r => setTimeout(r, 100));
+    const dest = path.join(downloadDir, 'overleaf_cancelled.bin');
+    const result = await bridge.request('cancelDownload', { path: dest });
+    assertEqual(result.cancelled, true, 'download was running');
+    const err = await downloading;
+    assert(err, 'download should have failed');
+    assertEqual(err.code, 'ABORTED', 'error code');
+    assert(!fs.existsSync(dest), 'no file written');
+
+    const again = await bridge.request('cancelDownload', { path: dest });
+    assertEqual(again.cancelled, false, 'nothing to cancel');
+  });
+
+  srv.web.files = {};
+  fs.rmSync(downloadDir, { recursive: true, force: true });
+
+  // ── Test Suite: Uploads ──────────────────────────────────────────
+  console.log('\nUploads:');
+
+  const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'overleaf-upload-test-'));
+  const uploadParams = { cookie: web.cookie, csrfToken: web.csrfToken, projectId: 'test_project' };
+  const figure = path.join(uploadDir, 'plot.png');
+  fs.writeFileSync(figure, Buffer.from(Array.from({ length: 300000 }, (_, i) => (i * 7) % 256)));
+  let uploadedId = null;
+
+  await test('uploadFile streams the file with its name and content type', async () => {
+    bridge.clearEvents();
+    const result = await bridge.request('uploadFile', { ...uploadParams, filePath: figure, contentType: 'image/png' });
+    assertEqual(result.success, true, 'success');
+    assertEqual(result.replaced, false, 'created');
+    uploadedId = result.entity_id;
+
+    const upload = srv.web.uploads[srv.web.uploads.length - 1];
+    assertEqual(upload.folderId, 'root_folder', 'root folder by default');
+    assertEqual(upload.name, 'plot.png', 'name');
+    assertEqual(upload.contentType, 'image/png', 'content type');
+    assert(upload.data.equals(fs.readFileSync(figure)), 'content');
+    await bridge.waitForEvent('reciveNewFile');
+    assertEqual(bridge.events.filter((e) => e.event === 'uploadProgress').length, 0, 'quick upload sends no progress');
+  });
+
+  await test('uploadFile refuses to replace a file unless asked', async () => {
+    const count = srv.web.uploads.length;
+    for (const fileName of ['plot.png', 'main.tex']) {
+      try {
+        await bridge.request('uploadFile', { ...uploadParams, filePath: figure, fileName });
+        throw new Error('should have failed');
+      } catch (e) {
+        assertEqual(e.code, 'ENTITY_EXISTS', `error code for ${fileName}`);
+      }
+    }
+    assertEqual(srv.web.uploads.length, count, 'nothing uploaded');
+  });
+
+  await test('uploadFile with replace reports the replaced file', async () => {
+    bridge.clearEvents();
+    const result = await bridge.request('uploadFile', { ...uploadParams, filePath: figure, replace: true });
+    assertEqual(result.replaced, true, 'replaced');
+    assertEqual(result.replacedEntityId, uploadedId, 'previous file id');
+    assert(result.entity_id !== uploadedId, 'new file id');
+    const removed = await bridge.waitForEvent('removeEntity');
+    assertEqual(removed.data.entityId, uploadedId, 'old file removed');
+  });
+
+  await test('uploadFile to a project without its file tree uploads unchecked', async () => {
+    // The bridge is connected to test_project only
+    const result = await bridge.request('uploadFile', { ...uploadParams, projectId: 'other_project', filePath: figure });
+    assertEqual(result.success, true, 'success');
+    assertEqual(result.replaced, null, 'unknown whether anything was replaced');
+    const upload = srv.web.uploads[srv.web.uploads.length - 1];
+    assertEqual(upload.folderId, 'rootFolder', 'root folder placeholder');
+    assertEqual(upload.name, 'plot.png', 'name');
+  });
+
+  await test('uploads report progress for each chunk of the file', async () => {
+    const dataset = path.join(__dirname, 'fixtures', 'upload', 'dataset.csv');
+    const size = fs.statSync(dataset).size;
+    const progress = [];
+    const res = await auth.httpPostMultipart(
+      `${baseUrl}/project/test_project/upload?folder_id=root_folder`, web.cookie, web.csrfToken, dataset, null,
+      { contentType: 'text/csv', chunkSize: 1024, onProgress: (sent, total) => progress.push([sent, total]) }
+    );
+    assertEqual(res.status, 200, 'status');
+    assertEqual(progress.length, Math.ceil(size / 1024), 'one report per chunk');
+    progress.forEach(([sent, total], i) => {
+      assertEqual(sent, Math.min((i + 1) * 1024, size), `sent after chunk ${i + 1}`);
+      assertEqual(total, size, 'total');
+    });
+    const upload = srv.web.uploads[srv.web.uploads.length - 1];
+    assertEqual(upload.name, 'dataset.csv', 'name from the path');
+    assert(upload.data.equals(fs.readFileSync(dataset)), 'content');
+  });
+
+  await test('cancelUpload aborts an upload in flight', async () => {
+    const dataset = path.join(__dirname, 'fixtures', 'upload', 'dataset.csv');
+    srv.web.uploadChunkDelay = 500;
+    const count = srv.web.uploads.length;
+    try {
+      const upload = bridge.request('uploadFile', { ...uploadParams, filePath: dataset, fileName: 'cancelled.csv' })
+        .then(() => null, (e) => e);
+      await new Promise(r => setTimeout(r, 100));
+      const result = await bridge.request('cancelUpload', { path: dataset });
+      assertEqual(result.cancelled, true, 'cancelled');
+      const err = await upload;
+      assert(err, 'upload should have failed');
+      assertEqual(err.code, 'ABORTED', 'error code');
+      assertEqual(srv.web.uploads.length, count, 'nothing uploaded');
+    } finally {
+      srv.web.uploadChunkDelay = 0;
+    }
+    const again = await bridge.request('cancelUpload', { path: dataset });
+    assertEqual(again.cancelled, false, 'nothing left to cancel');
+  });
+
+  // Generated figures directory: figures/{caption.tex, data.csv, plot1.png, plot2.png, sub/..., .cache/...}
+  const figuresDir = path.join(uploadDir, 'figures');
+  for (const [file, content] of Object.entries({
+    'caption.tex': '\\caption{Results}\n',
+    'data.csv': 'x,y\n',
+    'plot1.png': 'PNG 1',
+    'plot2.png': 'PNG 2',
+    'sub/deep/fig.pdf': '%PDF-1.5',
+    'sub/tmp-scratch.png': 'PNG tmp',
+    '.cache/cached.png': 'PNG cached',
+  })) {
+    fs.mkdirSync(path.dirname(path.join(figuresDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(figuresDir, file), content);
+  }
+  const directoryParams = {
+    ...uploadParams, localPath: figuresDir, include: ['*.png', '*.pdf', '*.tex'], exclude: ['.cache/', '**/tmp-*'],
+  };
+  const folderEvents = () => bridge.events.filter((e) => e.event === 'reciveNewFolder');
+  let captionId = null;
+
+  await test('uploadDirectory creates folders and uploads the matching files', async () => {
+    bridge.clearEvents();
+    srv.web.uploadChunkDelay = 20;
+    srv.web.uploadRequests = { active: 0, maxActive: 0 };
+    const count = srv.web.uploads.length;
+    let result;
+    try {
+      result = await bridge.request('uploadDirectory', { ...directoryParams, concurrency: 2 });
+    } finally {
+      srv.web.uploadChunkDelay = 0;
+    }
+    assertEqual(result.files.map((f) => f.path).join(','), 'caption.tex,plot1.png,plot2.png,sub/deep/fig.pdf', 'files');
+    assertEqual(result.created, 4, 'created');
+    assertEqual(result.failed + result.skipped + result.replaced, 0, 'nothing else');
+    assert(result.files.every((f) => f.status === 'created'), 'per-file status');
+    assertEqual(result.files[0].entityType, 'doc', 'text file became a doc');
+    assertEqual(result.files[1].entityType, 'file', 'binary file');
+    captionId = result.files[0].entityId;
+    assertEqual(srv.web.uploads.length - count, 4, 'uploads');
+    assertEqual(srv.web.uploadRequests.maxActive, 2, 'bounded concurrency');
+
+    await new Promise(r => setTimeout(r, 200));
+    const folders = folderEvents().map((e) => e.data);
+    assertEqual(folders.map((f) => f.folder.name).join(','), 'figures,sub,deep', 'folders created once');
+    assertEqual(folders[0].parentFolderId, 'root_folder', 'figures in the root folder');
+    assertEqual(folders[2].parentFolderId, folders[1].folder._id, 'nested folder');
+    const pdf = srv.web.uploads.find((u) => u.name === 'fig.pdf');
+    assertEqual(pdf.folderId, folders[2].folder._id, 'file in its folder');
+  });
+
+  await test('uploadDirectory skips existing files without replace', async () => {
+    bridge.clearEvents();
+    const count = srv.web.uploads.length;
+    const result = await bridge.request('uploadDirectory', directoryParams);
+    assertEqual(result.skipped, 4, 'skipped');
+    assertEqual(result.files[0].error.code, 'ENTITY_EXISTS', 'reason');
+    assertEqual(srv.web.uploads.length, count, 'nothing uploaded');
+    await new Promise(r => setTimeout(r, 100));
+    assertEqual(folderEvents().length, 0, 'existing folders reused');
+  });
+
+  await test('uploadDirectory with replace updates docs and replaces files', async () => {
+    fs.writeFileSync(path.join(figuresDir, 'caption.tex'), '\\caption{Updated results}\n');
+    const result = await bridge.request('uploadDirectory', { ...directoryParams, replace: true });
+    assertEqual(result.replaced, 4, 'replaced');
+    assertEqual(result.files[0].entityId, captionId, 'doc updated in place');
+    const caption = srv.web.uploads.filter((u) => u.name === 'caption.tex').pop();
+    assertEqual(caption.data.toString(), '\\caption{Updated results}\n', 'new content');
+  });
+
+  await test('uploadDirectory include patterns starting with / match from the top only', async () => {
+    const anchored = path.join(uploadDir, 'anchored');
+    for (const file of ['fig[1].png', 'a.png', 'sub/a.png', 'sub/fig[1].png']) {
+      fs.mkdirSync(path.dirname(path.join(anchored, file)), { recursive: true });
+      fs.writeFileSync(path.join(anchored, file), 'PNG');
+    }
+    const result = await bridge.request('uploadDirectory', {
+      ...uploadParams, localPath: anchored, include: ['/a.png', '/fig[[]1].png'],
+    });
+    assertEqual(result.files.map((f) => f.path).join(','), 'a.png,fig[1].png', 'top-level files only');
+  });
+
+  await test('uploadDirectory reports files whose folder is blocked by a file', async () => {
+    // plot.png was uploaded to the root folder above
+    const blocked = path.join(uploadDir, 'blocked');
+    fs.mkdirSync(path.join(blocked, 'plot.png'), { recursive: true });
+    fs.writeFileSync(path.join(blocked, 'plot.png', 'inner.png'), 'PNG');
+    fs.writeFileSync(path.join(blocked, 'ok.png'), 'PNG');
+    const result = await bridge.request('uploadDirectory', { ...uploadParams, localPath: blocked, targetPath: '' });
+    assertEqual(result.created, 1, 'other files uploaded');
+    assertEqual(result.failed, 1, 'failed');
+    const failed = result.files.find((f) => f.status === 'failed');
+    assertEqual(failed.path, 'plot.png/inner.png', 'failed file');
+    assertEqual(failed.error.code, 'PATH_CONFLICT', 'reason');
+  });
+
+  await test('uploadDirectory rejects a file path', async () => {
+    try {
+      await bridge.request('uploadDirectory', { ...uploadParams, localPath: figure });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'INVALID_PARAM', 'error code');
+    }
+  });
+
+  await test('uploadDirectory needs a connection to the project', async () => {
+    const count = srv.web.uploads.length;
+    try {
+      // The bridge is connected to test_project only
+      await bridge.request('uploadDirectory', { ...uploadParams, projectId: 'other_project', localPath: figuresDir });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'NOT_CONNECTED', 'error code');
+    }
+    assertEqual(srv.web.uploads.length, count, 'nothing uploaded');
+  });
+
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+
+  // ── Test Suite: History Diffs ────────────────────────────────────
+  console.log('\nHistory Diffs:');
+
+  await test('getDiff by pathname returns segments with authors', async () => {
+    const alice = { id: 'user_alice', email: 'alice@example.com', first_name: 'Alice', last_name: 'Martin' };
+    const bob = { id: 'user_bob', email: 'bob@example.com' };
+    // project-history format, with user details injected by the web service
+    srv.web.historyDiffs['chapters/intro.tex'] = [
+      { u: '\\section{Introduction}\n' },
+      { d: 'Old sentence. ', meta: { users: [alice], start_ts: 1700000000000, end_ts: 1700000060000 } },
+      { i: 'New ', meta: { users: [alice], start_ts: 1700000000000, end_ts: 1700000030000 } },
+      { i: 'sentence.', meta: { users: [alice], start_ts: 1700000040000, end_ts: 1700000090000 } },
+      { u: '\n' },
+      { i: 'Thanks.\n', meta: { users: [bob, null], start_ts: 1700000100000, end_ts: 1700000100000 } },
+    ];
+    const result = await bridge.request('getDiff', {
+      cookie: web.cookie, projectId: 'test_project', pathname: '/chapters/intro.tex', from: 4, to: 9,
+    });
+    assertEqual(srv.web.lastDiff.pathname, 'chapters/intro.tex', 'pathname');
+    assertEqual(srv.web.lastDiff.from + '-' + srv.web.lastDiff.to, '4-9', 'versions');
+    assertEqual(result.binary, false, 'text diff');
+    assertEqual(result.segments.map((s) => s.type).join(','), 'unchanged,delete,insert,unchanged,insert', 'types');
+
+    const insert = result.segments[2];
+    assertEqual(insert.text, 'New sentence.', 'adjacent inserts merged');
+    assertEqual(insert.startTs, 1700000000000, 'earliest start');
+    assertEqual(insert.endTs, 1700000090000, 'latest end');
+    assertEqual(JSON.stringify(insert.authors[0]), JSON.stringify({
+      id: 'user_alice', email: 'alice@example.com', name: 'Alice Martin',
+    }), 'author');
+    assertEqual(result.segments[0].authors.length, 0, 'unchanged text has no authors');
+    const thanks = result.segments[4];
+    assertEqual(thanks.authors.length, 1, 'unknown user dropped');
+    assertEqual(thanks.authors[0].name, 'bob@example.com', 'email when there is no name');
+  });
+
+  await test('getDiff by docId reads the per-doc diff', async () => {
+    // Older format: a single user per part, ids only for some
+    srv.web.docDiffs.doc_main = [
+      { u: 'Hello ' },
+      { i: 'brave ', meta: { user: 'user_carol', start_ts: 1, end_ts: 2 } },
+      { u: 'world' },
+    ];
+    const result = await bridge.request('getDiff', {
+      cookie: web.cookie, projectId: 'test_project', docId: 'doc_main', from: 0, to: 3,
+    });
+    assertEqual(result.segments.map((s) => s.text).join(''), 'Hello brave world', 'full text');
+    assertEqual(JSON.stringify(result.segments[1].authors), '[{"id":"user_carol","email":null,"name":null}]', 'id-only user');
+  });
+
+  await test('getDiff of a binary file has no segments', async () => {
+    srv.web.historyDiffs['figures/logo.png'] = { binary: true };
+    const result = await bridge.request('getDiff', {
+      cookie: web.cookie, projectId: 'test_project', pathname: 'figures/logo.png', from: 1, to: 2,
+    });
+    assertEqual(result.binary, true, 'binary');
+    assertEqual(result.segments.length, 0, 'no segments');
+  });
+
+  await test('getDiff reports DIFF_FAILED for unknown files', async () => {
+    try {
+      await bridge.request('getDiff', { cookie: web.cookie, projectId: 'test_project', pathname: 'missing.tex', from: 1, to: 2 });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'DIFF_FAILED', 'error code');
+    }
+  });
+
+  // ── Test Suite: File Restore ─────────────────────────────────────
+  console.log('\nFile Restore:');
+
+  await test('restoreFile replaces the doc and sends docRestored', async () => {
+    getOrCreateDoc('doc_chapter_v3', ['third draft']);
+    srv.web.historyFiles['chapters/method.tex'] = {
+      docId: 'doc_chapter_v3', folderId: 'root_folder', versions: { 7: ['first draft', 'with two lines'] },
+    };
+    await bridge.request('joinDoc', { docId: 'doc_chapter_v3' });
+    bridge.clearEvents();
+
+    const result = await bridge.request('restoreFile', {
+      cookie: web.cookie, csrfToken: web.csrfToken, projectId: 'test_project',
+      pathname: '/chapters/method.tex', version: 7,
+    });
+    assertEqual(JSON.stringify(srv.web.restores[0]), '{"version":7,"pathname":"chapters/method.tex"}', 'request body');
+    assertEqual(result.entityType, 'doc', 'entity type');
+    assert(result.entityId && result.entityId !== 'doc_chapter_v3', 'new doc id');
+
+    const evt = await bridge.waitForEvent('docRestored', 3000);
+    assertEqual(evt.data.oldDocId, 'doc_chapter_v3', 'old doc id');
+    assertEqual(evt.data.newDocId, result.entityId, 'new doc id');
+    assertEqual(evt.data.path, '/chapters/method.tex', 'path');
+
+    const joined = await bridge.request('joinDoc', { docId: result.entityId });
+    assertEqual(joined.lines.join('\n'), 'first draft\nwith two lines', 'restored content');
+  });
+
+  await test('restoring a deleted file only sends reciveNewDoc', async () => {
+    srv.web.historyFiles['appendix.tex'] = { docId: null, versions: { 2: ['appendix'] } };
+    bridge.clearEvents();
+    const result = await bridge.request('restoreFile', {
+      cookie: web.cookie, csrfToken: web.csrfToken, projectId: 'test_project', pathname: 'appendix.tex', version: 2,
+    });
+    const evt = await bridge.waitForEvent('reciveNewDoc', 3000);
+    await new Promise(r => setTimeout(r, 100));
+    assertEqual(evt.data.doc._id, result.entityId, 'new doc');
+    assertEqual(evt.data.meta.kind, 'file-restore', 'meta.kind');
+    assert(!bridge.events.some(e => e.event === 'removeEntity' || e.event === 'docRestored'), 'nothing replaced');
+  });
+
+  await test('restoreFile reports RESTORE_FAILED for unknown versions', async () => {
+    try {
+      await bridge.request('restoreFile', {
+        cookie: web.cookie, csrfToken: web.csrfToken, projectId: 'test_project', pathname: 'appendix.tex', version: 99,
+      });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'RESTORE_FAILED', 'error code');
+    }
+  });
+
+  // ── Test Suite: History Pages and Labels ─────────────────────────
+  console.log('\nHistory Pages and Labels:');
+
+  await test('getHistory pages through older updates with before', async () => {
+    // 7 updates, newest first, one minute apart
+    srv.web.historyUpdates = Array.from({ length: 7 }, (_, i) => ({
+      fromV: 70 - i * 10, toV: 79 - i * 10, pathnames: ['main.tex'],
+      meta: { end_ts: 1700000420000 - i * 60000, users: [] },
+    }));
+    const pages = [];
+    let before = null;
+    do {
+      const page = await bridge.request('getHistory', {
+        cookie: web.cookie, projectId: 'test_project', minCount: 3, before,
+      });
+      pages.push(page.updates.map((u) => u.toV));
+      before = page.nextBeforeTimestamp;
+    } while (before && pages.length < 5);
+    assertEqual(JSON.stringify(pages), '[[79,69,59],[49,39,29],[19]]', 'pages');
+    assertEqual(srv.web.lastHistory.before, '1700000120000', 'end_ts of the previous page');
+    assertEqual(srv.web.lastHistory.min_count, '3', 'min_count');
+  });
+
+  await test('getHistory without more pages has a null nextBeforeTimestamp', async () => {
+    const page = await bridge.request('getHistory', { cookie: web.cookie, projectId: 'test_project' });
+    assertEqual(page.updates.length, 7, 'one page');
+    assertEqual(page.nextBeforeTimestamp, null, 'no next page');
+    assertEqual(srv.web.lastHistory.before, undefined, 'no before on the first page');
+  });
+
+  await test('createLabel, getLabels and deleteLabel manage named versions', async () => {
+    const params = { cookie: web.cookie, csrfToken: web.csrfToken, projectId: 'test_project' };
+    const label = await bridge.request('createLabel', { ...params, comment: 'submitted to arXiv v1', version: 79 });
+    assert(label.id, 'label id');
+    assertEqual(label.comment, 'submitted to arXiv v1', 'comment');
+    assertEqual(label.version, 79, 'version');
+
+    const { labels } = await bridge.request('getLabels', params);
+    assertEqual(labels.length, 1, 'one label');
+    assertEqual(labels[0].id, label.id, 'listed');
+
+    await bridge.request('deleteLabel', { ...params, labelId: label.id });
+    assertEqual((await bridge.request('getLabels', params)).labels.length, 0, 'deleted');
+  });
+
+  await test('label errors are reported as LABEL_FAILED', async () => {
+    const params = { cookie: web.cookie, csrfToken: web.csrfToken, projectId: 'test_project' };
+    const calls = [['deleteLabel', { labelId: 'missing' }], ['createLabel', { comment: 'x', version: '7' }]];
+    for (const [method, extra] of calls) {
+      try {
+        await bridge.request(method, { ...params, ...extra });
+        throw new Error(`${method} should have failed`);
+      } catch (e) {
+        assertEqual(e.code, 'LABEL_FAILED', `${method} error code`);
+      }
+    }
+  });
+
   // ── Test Suite: Comment Events ─────────────────────────────────
   console.log('\nComment Events:');
 
@@ -784,6 +2106,157 @@ async function runTests() {
     assertEqual(evt.data.id, 'client_99', 'disconnected client id');
   });
 
+  await test('updatePosition is sent to collaborators and throttled', async () => {
+    const watcher = new BridgeClient(port);
+    await watcher.start();
+    try {
+      await watcher.request('connect', { cookie: 'mock_session=watcher', projectId: 'test_project' });
+
+      for (let row = 1; row <= 5; row++) {
+        await bridge.request('updatePosition', { docId: 'doc_main', row, column: row * 2 });
+      }
+
+      const first = await watcher.waitForEvent('clientUpdated');
+      assertEqual(first.data.row, 1, 'leading update sent immediately');
+      assertEqual(first.data.doc_id, 'doc_main', 'doc id');
+
+      const last = await watcher.waitForEvent('clientUpdated', 2000);
+      assertEqual(last.data.row, 5, 'trailing update carries the latest position');
+      assertEqual(last.data.column, 10, 'latest column');
+
+      const sender = [...srv.getClients()].find(c => c.positionUpdates > 0);
+      assertEqual(sender.positionUpdates, 2, 'five calls throttled into two updates');
+
+      const { users } = await watcher.request('getConnectedUsers');
+      const me = users.find(u => u.client_id === sender.publicId);
+      assert(me, 'sender listed as connected');
+      assertEqual(me.cursorData.row, 5, 'connected user cursor row');
+      assert(users.length >= 2, 'watcher listed too');
+    } finally {
+      watcher.stop();
+    }
+  });
+
+  await test('updatePosition requires docId, row and column', async () => {
+    try {
+      await bridge.request('updatePosition', { docId: 'doc_main', row: 1 });
+      throw new Error('should have failed');
+    } catch (e) {
+      assertEqual(e.code, 'MISSING_PARAM', 'error code');
+    }
+  });
+
+  // ── Test Suite: Incremental Join ─────────────────────────────────
+  console.log('\nIncremental Join:');
+
+  getOrCreateDoc('doc_catchup', ['one']);
+
+  await test('joinDoc with fromVersion returns the missing ops in order', async () => {
+    const full = await bridge.request('joinDoc', { docId: 'doc_catchup' });
+    assertEqual(full.version, 0, 'initial version');
+    await bridge.request('leaveDoc', { docId: 'doc_catchup' });
+
+    applyServerUpdate('doc_catchup', [{ p: 3, i: ' two' }]);
+    applyServerUpdate('doc_catchup', [{ p: 7, i: ' three' }]);
+
+    const result = await bridge.request('joinDoc', { docId: 'doc_catchup', fromVersion: 0 });
+    assertEqual(result.incremental, true, 'incremental');
+    assertEqual(result.version, 2, 'current version');
+    assertEqual(result.lines, undefined, 'no snapshot sent');
+    assertEqual(result.updates.map(u => u.v).join(','), '0,1', 'ordered op versions');
+    assertEqual(result.updates[1].op[0].i, ' three', 'op content');
+  });
+
+  await test('joinDoc from the current version returns no ops', async () => {
+    const result = await bridge.request('joinDoc', { docId: 'doc_catchup', fromVersion: 2 });
+    assertEqual(result.incremental, true, 'incremental');
+    assertEqual(result.updates.length, 0, 'no ops');
+  });
+
+  await test('joinDoc falls back to a full snapshot when ops are unavailable', async () => {
+    trimOpLog('doc_catchup');
+    applyServerUpdate('doc_catchup', [{ p: 0, i: 'zero ' }]);
+
+    const result = await bridge.request('joinDoc', { docId: 'doc_catchup', fromVersion: 1 });
+    assertEqual(result.incremental, false, 'snapshot');
+    assertEqual(result.version, 3, 'current version');
+    assertEqual(result.lines[0], 'zero one two three', 'current content');
+  });
+
+  await test('joinDoc without fromVersion returns a full snapshot', async () => {
+    const result = await bridge.request('joinDoc', { docId: 'doc_catchup' });
+    assertEqual(result.incremental, false, 'snapshot');
+    assertEqual(result.lines[0], 'zero one two three', 'content');
+  });
+
+  // ── Test Suite: Reconnection ─────────────────────────────────────
+  console.log('\nReconnection:');
+
+  getOrCreateDoc('doc_reconnect_a', ['alpha']);
+  getOrCreateDoc('doc_reconnect_b', ['beta']);
+
+  await test('server restart triggers reconnecting and reconnected', async () => {
+    await bridge.request('connect', { cookie: 'mock_session=test', projectId: 'test_project', reconnect: true });
+    await bridge.request('joinDoc', { docId: 'doc_reconnect_a' });
+    await bridge.request('joinDoc', { docId: 'doc_reconnect_b' });
+    await bridge.request('applyOtUpdate', {
+      docId: 'doc_reconnect_a',
+      op: [{ p: 5, i: '!' }],
+      v: 0,
+      content: 'alpha',
+    });
+
+    bridge.clearEvents();
+    srv.dropClients();
+
+    const reconnecting = await bridge.waitForEvent('reconnecting');
+    assertEqual(reconnecting.data.attempt, 1, 'first attempt');
+    assert(reconnecting.data.delay >= 500 && reconnecting.data.delay <= 1000, 'jittered first delay');
+
+    const reconnected = await bridge.waitForEvent('reconnected');
+    assert(reconnected.data.project, 'project re-joined');
+    const rejoined = reconnected.data.rejoined.sort((a, b) => a.docId.localeCompare(b.docId));
+    assertEqual(rejoined.length, 2, 'both docs re-joined');
+    assertEqual(rejoined[0].docId, 'doc_reconnect_a', 'doc a');
+    assertEqual(rejoined[0].fromVersion, 1, 'doc a last known version includes own op');
+    assertEqual(rejoined[1].fromVersion, 0, 'doc b last known version');
+    assertEqual(reconnected.data.reloadDocs.length, 0, 'no full reloads');
+    assert(!bridge.events.some(e => e.event === 'disconnect'), 'disconnect not forwarded');
+  });
+
+  await test('docs changed beyond available ops are listed for full reload', async () => {
+    bridge.clearEvents();
+    srv.dropClients();
+
+    // Edit doc b on the server while the bridge is disconnected
+    const doc = srv.getDocs().doc_reconnect_b;
+    doc.content = 'beta edited';
+    doc.lines = [doc.content];
+    doc.version++;
+
+    const reconnected = await bridge.waitForEvent('reconnected');
+    assertEqual(reconnected.data.reloadDocs.join(','), 'doc_reconnect_b', 'doc b needs reload');
+    assertEqual(reconnected.data.rejoined.map(d => d.docId).join(','), 'doc_reconnect_a', 'doc a caught up');
+
+    // The editor reloads it with a full joinDoc; edits continue from there
+    const result = await bridge.request('joinDoc', { docId: 'doc_reconnect_b' });
+    assertEqual(result.lines[0], 'beta edited', 'reloaded content');
+    await bridge.request('applyOtUpdate', {
+      docId: 'doc_reconnect_a',
+      op: [{ p: 0, i: '>' }],
+      v: 1,
+      content: 'alpha!',
+    });
+    assertEqual(srv.getDocs().doc_reconnect_a.content, '>alpha!', 'edit after reconnect applied');
+  });
+
+  await test('explicit disconnect does not reconnect', async () => {
+    await bridge.request('disconnect');
+    bridge.clearEvents();
+    await new Promise(r => setTimeout(r, 300));
+    assert(!bridge.events.some(e => e.event === 'reconnecting'), 'no reconnect attempt');
+  });
+
   // ── Cleanup ──────────────────────────────────────────────────────
   bridge.stop();
   await srv.close();
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Unit tests for the LaTeX log parser (node/latex-log.js).
+ *
+ * Fixtures in fixtures/logs/ are pdflatex and xelatex logs, wrapped at
+ * 79 columns the way each engine writes them (bytes vs characters).
+ *
+ * Usage: node tests/node/latex-log.test.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseLog, unwrapLines } = require('../../node/latex-log');
+
+// ── Test framework ─────────────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error('Assertion failed: ' + message);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      `${message || 'assertEqual'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (e) {
+    failed++;
+    console.log(`  ✗ ${name}`);
+    console.log(`    ${e.message}`);
+  }
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────
+function readLog(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'logs', name), 'utf-8');
+}
+
+/** Compare diagnostics against [file, line, severity, message] tuples */
+function assertDiagnostics(actual, expected) {
+  const summary = (d) => JSON.stringify([d.file, d.line, d.severity, d.message]);
+  assertEqual(actual.length, expected.length, `diagnostic count (got ${actual.map(summary).join(', ')})`);
+  expected.forEach((e, i) => assertEqual(summary(actual[i]), JSON.stringify(e), `diagnostic ${i}`));
+}
+
+// ── Tests ──────────────────────────────────────────────────────────────
+async function runTests() {
+  console.log('\nUnwrapping:');
+
+  await test('joins lines broken at 79 columns', async () => {
+    const long = 'x'.repeat(100);
+    const lines = unwrapLines(`${long.slice(0, 79)}\n${long.slice(79)}\nnext`);
+    assertEqual(lines.length, 2, 'line count');
+    assertEqual(lines[0], long, 'joined line');
+  });
+
+  await test('counts bytes (pdfTeX) as well as characters (XeTeX)', async () => {
+    // 77 ASCII + "é" = 78 characters but 79 bytes
+    const lines = unwrapLines(`${'a'.repeat(77)}é\nb`);
+    assertEqual(lines.length, 1, 'joined on byte length');
+  });
+
+  console.log('\npdflatex:');
+
+  const pdflatex = parseLog(readLog('pdflatex.log'));
+  const intro = 'chapters/introduction-to-the-problem-domain-and-related-work-in-the-field.tex';
+
+  await test('parses errors, warnings and bad boxes with their files', async () => {
+    assertDiagnostics(pdflatex, [
+      [intro, 7, 'warning', "Reference `sec:methodology-overview' on page 1 undefined on input line 7."],
+      [intro, 12, 'warning', "Citation `knuth1984' on page 1 undefined on input line 12."],
+      [intro, 14, 'typesetting', 'Overfull \\hbox (15.55pt too wide) in paragraph at lines 14--16'],
+      ['chapters/method.tex', 9, 'error', 'Undefined control sequence.'],
+      ['chapters/method.tex', 21, 'warning',
+        "Token not allowed in a PDF string (Unicode): removing `math shift' on input line 21."],
+      ['chapters/method.tex', 25, 'typesetting', 'Underfull \\hbox (badness 10000) in paragraph at lines 25--26'],
+      ['chapters/method.tex', 30, 'error', 'Missing $ inserted.'],
+      ['main.tex', null, 'typesetting', 'Underfull \\vbox (badness 10000) has occurred while \\output is active'],
+      ['main.tex', null, 'warning', 'There were undefined references.'],
+      ['main.tex', null, 'warning', 'Label(s) may have changed. Rerun to get cross-references right.'],
+    ]);
+  });
+
+  await test('raw keeps the error context and help text', async () => {
+    const raw = pdflatex[3].raw.split('\n');
+    assertEqual(raw[0], '! Undefined control sequence.', 'first raw line');
+    assertEqual(raw[1], 'l.9 The result is \\resutl', 'context line');
+    assertEqual(raw[raw.length - 1], "and I'll forget about whatever was undefined.", 'last help line');
+  });
+
+  await test('unbalanced parentheses in source excerpts do not affect the file', async () => {
+    // The context "(see below" and the overfull box "(Supercalifragilistic..." are never closed
+    assertEqual(pdflatex[4].file, 'chapters/method.tex', 'file after error context');
+    assertEqual(pdflatex[3].file, 'chapters/method.tex', 'file after bad box content');
+  });
+
+  console.log('\nxelatex:');
+
+  const xelatex = parseLog(readLog('xelatex.log'));
+
+  await test('parses quoted file names, -file-line-error and multi-line warnings', async () => {
+    assertDiagnostics(xelatex, [
+      ['main.tex', null, 'warning', 'Font "Noto Serif CJK SC" does not contain requested Script "CJK".'],
+      ['chapters/related work.tex', 40, 'warning', "Citation `lamport1994' on page 3 undefined on input line 40."],
+      ['chapters/related work.tex', 52, 'warning',
+        "Font shape `TU/NotoSerif(0)/b/sc' undefined using `TU/NotoSerif(0)/b/n' instead on input line 52."],
+      ['chapters/related work.tex', 58, 'typesetting', 'Overfull \\hbox (4.2pt too wide) in paragraph at lines 58--60'],
+      ['main.tex', 45, 'error', 'LaTeX Error: Environment figur undefined.'],
+      ['main.tex', null, 'warning', 'There were undefined references.'],
+    ]);
+  });
+
+  await test('raw of a wrapped bad box is the unwrapped material', async () => {
+    const raw = xelatex[3].raw.split('\n');
+    assertEqual(raw.length, 3, 'box line, material, []');
+    assert(raw[1].includes('dite « adaptative »'), 'material joined across the wrap');
+  });
+
+  console.log('\nEdge cases:');
+
+  await test('empty log has no diagnostics', async () => {
+    assertEqual(parseLog('').length, 0, 'empty');
+    assertEqual(parseLog(undefined).length, 0, 'undefined');
+  });
+
+  await test('missing package error ends at the next error', async () => {
+    const log = [
+      '(./main.tex',
+      "! LaTeX Error: File `missing.sty' not found.",
+      '',
+      'Type X to quit or <RETURN> to proceed,',
+      'or enter new name. (Default extension: sty)',
+      '',
+      'Enter file name: ',
+      '! Emergency stop.',
+      '<read *> ',
+      '         ',
+      'l.3 \\usepackage',
+      '               {missing}^^M',
+      '*** (cannot \\read from terminal in nonstop modes)',
+      '',
+    ].join('\n');
+    assertDiagnostics(parseLog(log), [
+      ['main.tex', null, 'error', "LaTeX Error: File `missing.sty' not found."],
+      ['main.tex', 3, 'error', 'Emergency stop.'],
+    ]);
+  });
+
+  await test('pdfTeX warnings after page markers are found', async () => {
+    const log = '(./main.tex [1] [2]pdfTeX warning (ext4): destination with the same identifier (name{page.1}) has been already used, duplicate ignored\n)';
+    const diagnostics = parseLog(log);
+    assertEqual(diagnostics.length, 1, 'count');
+    assertEqual(diagnostics[0].severity, 'warning', 'severity');
+    assertEqual(diagnostics[0].file, 'main.tex', 'file');
+    assert(diagnostics[0].message.startsWith('destination with the same identifier'), 'message');
+  });
+
+  console.log(`\n${'─'.repeat(50)}`);
+  console.log(`Results: ${passed} passed, ${failed} failed\n`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch((e) => {
+  console.error('Test runner failed:', e);
+  process.exit(1);
+});
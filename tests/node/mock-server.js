@@ -9,13 +9,19 @@
  *   - joinProjectResponse on connect
  *   - joinDoc / leaveDoc / applyOtUpdate
  *   - Hash validation (SHA1, git-blob format)
- *   - Version tracking per document
+ *   - Version tracking per document, with an op log for joinDoc catch-up
  *   - otUpdateError on hash mismatch
  *   - Broadcasting remote ops to other clients
+ *   - clientTracking (cursor positions, connected users)
+ *
+ * Also serves the subset of the web (HTTP) API used by the bridge:
+ *   - /login (CSRF-protected email/password login) and /project
+ *   - project structure changes, broadcast to connected clients
  */
 
 const http = require('http');
 const crypto = require('crypto');
+const zlib = require('zlib');
 const { URL } = require('url');
 const WebSocket = require('ws');
 
@@ -29,6 +35,8 @@ function getOrCreateDoc(docId, lines) {
       version: 0,
       content: (lines || ['']).join('\n'),
       clients: new Set(),
+      ops: [], // applied updates { op, v, meta }, v = version the op was applied at
+      opLogStart: 0, // first version still in the op log
     };
   }
   return docs[docId];
@@ -108,6 +116,12 @@ class MockClient {
     this.id = nextClientId++;
     this.projectId = projectId;
     this.joinedDocs = new Set();
+    this.position = null; // last clientTracking.updatePosition
+    this.positionUpdates = 0;
+  }
+
+  get publicId() {
+    return 'mock_public_' + this.id;
   }
 
   send(data) {
@@ -149,6 +163,12 @@ class MockClient {
       case 'applyOtUpdate':
         this.onApplyOtUpdate(args, id);
         break;
+      case 'clientTracking.updatePosition':
+        this.onUpdatePosition(args, id);
+        break;
+      case 'clientTracking.getConnectedUsers':
+        this.onGetConnectedUsers(args, id);
+        break;
       default:
         console.log(`[mock] Unknown event: ${name}`);
         if (id) this.sendAck(id, null);
@@ -156,8 +176,19 @@ class MockClient {
   }
 
   onJoinDoc(args, ackId) {
-    const [docId] = args;
+    const [docId, fromVersion] = args;
     const doc = getOrCreateDoc(docId);
+
+    // Catch-up: ops since fromVersion, if the op log still has them
+    let updates = [];
+    if (typeof fromVersion === 'number' && fromVersion >= 0) {
+      if (fromVersion < doc.opLogStart || fromVersion > doc.version) {
+        if (ackId) this.sendAck(ackId, { message: 'doc updater could not load requested ops' });
+        return;
+      }
+      updates = doc.ops.filter((u) => u.v >= fromVersion);
+    }
+
     doc.clients.add(this);
     this.joinedDocs.add(docId);
 
@@ -168,10 +199,43 @@ class MockClient {
 
     if (ackId) {
       // [error, lines, version, updates, ranges]
-      this.sendAck(ackId, null, encodedLines, doc.version, [], {});
+      this.sendAck(ackId, null, encodedLines, doc.version, updates, {});
     }
   }
 
+  onUpdatePosition(args, ackId) {
+    const [position] = args;
+    this.position = position;
+    this.positionUpdates++;
+    for (const client of clients) {
+      if (client !== this && client.projectId === this.projectId) {
+        client.sendEvent('clientTracking.clientUpdated', {
+          id: this.publicId,
+          user_id: 'user_' + this.id,
+          name: 'Mock User ' + this.id,
+          email: `user${this.id}@example.com`,
+          ...position,
+        });
+      }
+    }
+    if (ackId) this.sendAck(ackId, null);
+  }
+
+  onGetConnectedUsers(args, ackId) {
+    const users = [...clients]
+      .filter((client) => client.projectId === this.projectId)
+      .map((client) => ({
+        client_id: client.publicId,
+        user_id: 'user_' + client.id,
+        first_name: 'Mock',
+        last_name: 'User ' + client.id,
+        email: `user${client.id}@example.com`,
+        connected: true,
+        cursorData: client.position,
+      }));
+    if (ackId) this.sendAck(ackId, null, users);
+  }
+
   onLeaveDoc(args, ackId) {
     const [docId] = args;
     const doc = docs[docId];
@@ -230,6 +294,7 @@ class MockClient {
     // Apply update
     doc.content = newContent;
     doc.lines = newContent.split('\n');
+    doc.ops.push({ op: ops, v: doc.version, meta: { user_id: 'user_' + this.id } });
     doc.version++;
 
     // ACK to sender (no op field = own ACK)
@@ -259,6 +324,662 @@ class MockClient {
   }
 }
 
+// ── Web (HTTP) API ─────────────────────────────────────────────────────
+const web = {
+  users: { 'test@example.com': { id: 'user_test', password: 'secret' } },
+  sessions: {}, // session cookie value -> { csrfToken, userId }
+  nextSession: 1,
+  rotateSessions: false, // issue a new session cookie on every GET /project
+  requireSocketSession: false, // reject socket handshakes without a logged-in session
+  socketCookies: { handshake: null, upgrade: null }, // Cookie headers of the last socket connection
+  lastCompile: null, // body of the last POST /project/:id/compile
+  compileLog: null, // output.log content served after a compile (null = no log file)
+  compileOutputs: {}, // other output files after a compile: path -> content
+  failedOutputs: [], // output file paths whose downloads answer 500
+  outputRequests: { active: 0, maxActive: 0, total: 0 }, // output file downloads (concurrent, overall)
+  builds: 0, // compiles so far (build ids are mock-build-<n>)
+  reuseBuild: false, // answer compiles with the previous build (nothing changed)
+  compileDelay: 0, // ms before a compile responds (stop requests end it early)
+  pendingCompiles: [], // finish callbacks of compiles still running
+  compileStops: 0, // POST /project/:id/compile/stop requests
+  stopFails: false, // answer compile/stop requests with a 500
+  forbiddenProjects: [], // project ids whose /project/:id/... routes answer 403 to everyone
+  clearedOutputs: [], // query strings of DELETE /project/:id/output
+  lastSync: null, // query of the last /sync/code or /sync/pdf request
+  files: {}, // binary project files: fileId -> content (served with an ETag)
+  fileRequests: [], // status codes of GET /project/:id/file/:fileId
+  settings: {}, // projectId -> { rootDocId, compiler }
+  wordCounts: {}, // file path (or '' for the whole project) -> texcount result
+  lastWordCount: null, // query of the last /wordcount request
+  uploads: [], // files received by POST /project/:id/upload: { folderId, name, contentType, data }
+  uploadedFiles: {}, // "<folderId>/<name>" -> { id, type } of uploads (files replaced, docs updated by a later upload)
+  uploadChunkDelay: 0, // ms to pause after each received chunk of an upload
+  uploadRequests: { active: 0, maxActive: 0 }, // concurrent uploads
+  historyUpdates: [], // updates of GET /project/:id/updates, newest first ({ fromV, toV, meta: { end_ts, ... } })
+  lastHistory: null, // query of the last /updates request
+  labels: [], // named versions: { id, comment, version, user_id, created_at }
+  historyDiffs: {}, // pathname -> diff of GET /project/:id/diff (parts, or { binary: true })
+  docDiffs: {}, // docId -> diff of GET /project/:id/doc/:docId/diff
+  lastDiff: null, // query of the last diff request
+  historyFiles: {}, // pathname -> { docId, folderId, versions: { <version>: lines } } restorable by POST restore_file
+  restores: [], // bodies of POST /project/:id/restore_file
+  zipEntries: null, // project archive: entry name -> content (names ending in "/" are folders), or a raw Buffer
+  projects: [
+    { _id: 'test_project', name: 'Test Project', lastUpdated: '2026-01-01T00:00:00Z', accessLevel: 'owner' },
+  ],
+};
+
+function resetWeb() {
+  web.sessions = {};
+  web.rotateSessions = false;
+  web.requireSocketSession = false;
+  web.socketCookies = { handshake: null, upgrade: null };
+  web.lastCompile = null;
+  web.compileLog = null;
+  web.compileOutputs = {};
+  web.failedOutputs = [];
+  web.outputRequests = { active: 0, maxActive: 0, total: 0 };
+  web.builds = 0;
+  web.reuseBuild = false;
+  web.compileDelay = 0;
+  web.pendingCompiles = [];
+  web.compileStops = 0;
+  web.stopFails = false;
+  web.forbiddenProjects = [];
+  web.clearedOutputs = [];
+  web.lastSync = null;
+  web.files = {};
+  web.fileRequests = [];
+  web.settings = {};
+  web.wordCounts = {};
+  web.lastWordCount = null;
+  web.uploads = [];
+  web.uploadedFiles = {};
+  web.uploadChunkDelay = 0;
+  web.uploadRequests = { active: 0, maxActive: 0 };
+  web.historyUpdates = [];
+  web.lastHistory = null;
+  web.labels = [];
+  web.historyDiffs = {};
+  web.docDiffs = {};
+  web.lastDiff = null;
+  web.historyFiles = {};
+  web.restores = [];
+  web.zipEntries = null;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq > 0) cookies[part.slice(0, eq).trim()] = part.slice(eq + 1).trim();
+  }
+  return cookies;
+}
+
+function newSession(userId) {
+  const n = web.nextSession++;
+  const value = `s%3A${userId ? 'user' : 'anon'}_${n}.mocksig`;
+  web.sessions[value] = { csrfToken: 'csrf_' + n, userId: userId || null };
+  return value;
+}
+
+function getSession(req) {
+  const value = parseCookies(req.headers.cookie).overleaf_session2;
+  return value && web.sessions[value] ? { value, ...web.sessions[value] } : null;
+}
+
+function sendJson(res, status, body, headers) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Logged-in session for the request, or null after sending what Overleaf
+ * sends to logged-out clients: 401 for JSON requests, else a login redirect.
+ */
+function requireLogin(req, res) {
+  const session = getSession(req);
+  if (session && session.userId) return session;
+  if ((req.headers.accept || '').includes('application/json')) {
+    sendJson(res, 401, { message: 'Unauthorized' });
+  } else {
+    res.writeHead(302, { Location: '/login' });
+    res.end();
+  }
+  return null;
+}
+
+function sessionCookie(value) {
+  return `overleaf_session2=${value}; Path=/; HttpOnly`;
+}
+
+function metaPage(meta) {
+  const tags = Object.entries(meta)
+    .map(([name, content]) => `<meta name="${name}" content="${String(content).replace(/"/g, '&quot;')}">`)
+    .join('\n');
+  return `<!DOCTYPE html><html><head>${tags}</head><body></body></html>`;
+}
+
+// Uploads Overleaf stores as docs (editable text)
+const TEXT_EXTENSIONS = /\.(tex|bib|cls|sty|bst|txt|md)$/i;
+
+/**
+ * Parts of a multipart/form-data body: { fields: name -> value, files: [{ field, filename, contentType, data }] }
+ */
+function parseMultipart(raw, boundary) {
+  const result = { fields: {}, files: [] };
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+  // Prefix a CRLF so the first boundary looks like the others
+  const data = Buffer.concat([Buffer.from('\r\n'), raw]);
+  let start = data.indexOf(delimiter);
+  while (start >= 0) {
+    const partStart = start + delimiter.length;
+    if (data.subarray(partStart, partStart + 2).toString() === '--') break;
+    const end = data.indexOf(delimiter, partStart);
+    if (end < 0) break;
+    const part = data.subarray(partStart + 2, end);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = part.subarray(0, headerEnd).toString('utf-8');
+    const content = part.subarray(headerEnd + 4);
+    const name = headers.match(/name="([^"]*)"/)[1];
+    const filename = headers.match(/filename="([^"]*)"/);
+    if (filename) {
+      const type = headers.match(/Content-Type: (.+)/i);
+      result.files.push({ field: name, filename: filename[1], contentType: type ? type[1].trim() : null, data: content });
+    } else {
+      result.fields[name] = content.toString('utf-8');
+    }
+    start = end;
+  }
+  return result;
+}
+
+/**
+ * Zip archive of `entries` (name -> content), deflated. Names are written
+ * as given so tests can serve malicious archives.
+ */
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(entries)) {
+    const nameBuf = Buffer.from(name);
+    const data = Buffer.from(content);
+    const deflated = zlib.deflateRawSync(data);
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0800, 6); // UTF-8 names
+    header.writeUInt16LE(8, 8);
+    header.writeUInt32LE(zlib.crc32(data), 14);
+    header.writeUInt32LE(deflated.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(nameBuf.length, 26);
+    locals.push(header, nameBuf, deflated);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(0x0314, 4); // made by Unix
+    central.writeUInt16LE(20, 6);
+    header.copy(central, 8, 6, 30);
+    central.writeUInt32LE((name.endsWith('/') ? 0o40755 : 0o100644) * 0x10000, 38);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuf);
+    offset += header.length + nameBuf.length + deflated.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(entries).length, 8);
+  end.writeUInt16LE(Object.keys(entries).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+// Routes: [method, pattern, handler(req, res, match, body, url)]
+const routes = [
+  ['GET', /^\/login$/, (req, res) => {
+    const value = newSession(null);
+    res.writeHead(200, { 'Content-Type': 'text/html', 'Set-Cookie': sessionCookie(value) });
+    res.end(metaPage({ 'ol-csrfToken': web.sessions[value].csrfToken }));
+  }],
+
+  ['POST', /^\/login$/, (req, res, match, body) => {
+    const session = getSession(req);
+    const csrf = req.headers['x-csrf-token'] || body._csrf;
+    if (!session || csrf !== session.csrfToken) {
+      res.writeHead(403);
+      res.end('Forbidden');
+      return;
+    }
+    const user = web.users[body.email];
+    if (!user || user.password !== body.password) {
+      sendJson(res, 401, { message: { type: 'error', text: 'Your email or password is incorrect.' } });
+      return;
+    }
+    // Session is regenerated on login
+    delete web.sessions[session.value];
+    const value = newSession(user.id);
+    sendJson(res, 200, { redir: '/project' }, { 'Set-Cookie': sessionCookie(value) });
+  }],
+
+  ['GET', /^\/project$/, (req, res) => {
+    const session = requireLogin(req, res);
+    if (!session) return;
+    const headers = { 'Content-Type': 'text/html' };
+    let csrfToken = session.csrfToken;
+    if (web.rotateSessions) {
+      delete web.sessions[session.value];
+      const value = newSession(session.userId);
+      csrfToken = web.sessions[value].csrfToken;
+      headers['Set-Cookie'] = sessionCookie(value);
+    }
+    const email = Object.keys(web.users).find((e) => web.users[e].id === session.userId);
+    res.writeHead(200, headers);
+    res.end(metaPage({
+      'ol-csrfToken': csrfToken,
+      'ol-user_id': session.userId,
+      'ol-usersEmail': email,
+      'ol-prefetchedProjectsBlob': JSON.stringify({ totalSize: web.projects.length, projects: web.projects }),
+    }));
+  }],
+
+  ['POST', /^\/project\/([^/]+)\/folder$/, (req, res, match, body) => {
+    const session = requireLogin(req, res);
+    if (!session) return;
+    if (!body.name) {
+      sendJson(res, 400, { message: 'name is required' });
+      return;
+    }
+    const folder = { _id: crypto.randomBytes(12).toString('hex'), name: body.name, docs: [], fileRefs: [], folders: [] };
+    broadcastToProject(match[1], 'reciveNewFolder', body.parent_folder_id || 'root_folder', folder, session.userId);
+    sendJson(res, 200, folder);
+  }],
+
+  // Like Overleaf, text files become docs (an existing doc is updated in place),
+  // other files replace a file with the same name in the folder
+  ['POST', /^\/project\/([^/]+)\/upload$/, (req, res, match, body, url) => {
+    const session = requireLogin(req, res);
+    if (!session) return;
+    const file = (body.files || []).find((f) => f.field === 'qqfile');
+    if (!file || !body.fields.name) {
+      sendJson(res, 422, { success: false, error: 'invalid_filename' });
+      return;
+    }
+    const folderId = url.searchParams.get('folder_id');
+    const name = body.fields.name;
+    const type = TEXT_EXTENSIONS.test(name) ? 'doc' : 'file';
+    const key = `${folderId}/${name}`;
+    const previous = web.uploadedFiles[key];
+    web.uploads.push({ folderId, name, contentType: file.contentType, data: file.data });
+    if (previous && previous.type === 'doc' && type === 'doc') {
+      sendJson(res, 200, { success: true, entity_id: previous.id, entity_type: 'doc' });
+      return;
+    }
+    const entity = { _id: crypto.randomBytes(12).toString('hex'), name };
+    if (previous) broadcastToProject(match[1], 'removeEntity', previous.id, 'replaceFile');
+    if (type === 'doc') {
+      broadcastToProject(match[1], 'reciveNewDoc', folderId, entity, 'upload', session.userId);
+    } else {
+      broadcastToProject(match[1], 'reciveNewFile', folderId, { ...entity, linkedFileData: null }, 'upload', session.userId);
+    }
+    web.uploadedFiles[key] = { id: entity._id, type };
+    sendJson(res, 200, { success: true, entity_id: entity._id, entity_type: type });
+  }],
+
+  // Restoring replaces the current doc (if any) with a new one, as the real server does
+  ['POST', /^\/project\/([^/]+)\/restore_file$/, (req, res, match, body) => {
+    const session = requireLogin(req, res);
+    if (!session) return;
+    web.restores.push(body);
+    const file = web.historyFiles[body.pathname];
+    const lines = file && file.versions[body.version];
+    if (!lines) {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+    const meta = { kind: 'file-restore', path: `/${body.pathname}` };
+    const doc = { _id: crypto.randomBytes(12).toString('hex'), name: body.pathname.split('/').pop() };
+    if (file.docId) broadcastToProject(match[1], 'removeEntity', file.docId, meta);
+    getOrCreateDoc(doc._id, lines);
+    file.docId = doc._id;
+    sendJson(res, 200, { type: 'doc', id: doc._id });
+    setTimeout(() => {
+      broadcastToProject(match[1], 'reciveNewDoc', file.folderId || 'root_folder', doc, meta, session.userId);
+    }, 50);
+  }],
+
+  ['POST', /^\/project\/([^/]+)\/(doc|file|folder)\/([^/]+)\/rename$/, (req, res, match, body) => {
+    if (!requireLogin(req, res)) return;
+    const [, projectId, , entityId] = match;
+    if (!body.name) {
+      sendJson(res, 400, { message: 'name is required' });
+      return;
+    }
+    broadcastToProject(projectId, 'reciveEntityRename', entityId, body.name);
+    res.writeHead(204);
+    res.end();
+  }],
+
+  ['POST', /^\/project\/([^/]+)\/(doc|file|folder)\/([^/]+)\/move$/, (req, res, match, body) => {
+    if (!requireLogin(req, res)) return;
+    const [, projectId, , entityId] = match;
+    if (!body.folder_id) {
+      sendJson(res, 422, { message: 'folder_id is required' });
+      return;
+    }
+    broadcastToProject(projectId, 'reciveEntityMove', entityId, body.folder_id);
+    res.writeHead(204);
+    res.end();
+  }],
+
+  ['GET', /^\/project\/([^/]+)\/threads$/, (req, res) => {
+    if (!requireLogin(req, res)) return;
+    sendJson(res, 200, {});
+  }],
+
+  ['POST', /^\/project\/([^/]+)\/settings$/, (req, res, match, body) => {
+    if (!requireLogin(req, res)) return;
+    const projectId = match[1];
+    const settings = web.settings[projectId] = web.settings[projectId] || {};
+    if (body.rootDocId) {
+      settings.rootDocId = body.rootDocId;
+      broadcastToProject(projectId, 'rootDocUpdated', body.rootDocId);
+    }
+    if (body.compiler) {
+      settings.compiler = body.compiler;
+      broadcastToProject(projectId, 'compilerUpdated', body.compiler);
+    }
+    res.writeHead(204);
+    res.end();
+  }],
+
+  ['POST', /^\/project\/([^/]+)\/compile$/, (req, res, match, body) => {
+    if (!requireLogin(req, res)) return;
+    web.lastCompile = body;
+    const finish = (status) => {
+      web.pendingCompiles = web.pendingCompiles.filter((f) => f !== finish);
+      if (status !== 'success') {
+        sendJson(res, 200, { status, outputFiles: [] });
+        return;
+      }
+      if (!web.reuseBuild || web.builds === 0) web.builds++;
+      const buildId = `mock-build-${web.builds}`;
+      const files = { ...web.compileOutputs };
+      if (web.compileLog !== null) files['output.log'] = web.compileLog;
+      const outputFiles = Object.keys(files).map((file) => ({
+        path: file,
+        url: `/project/${match[1]}/build/${buildId}/output/${file}`,
+        type: file.split('.').pop(),
+        build: buildId,
+      }));
+      sendJson(res, 200, { status: 'success', outputFiles, clsiServerId: 'clsi-mock-1', buildId });
+    };
+    if (!web.compileDelay) {
+      finish('success');
+      return;
+    }
+    web.pendingCompiles.push(finish);
+    setTimeout(() => { if (web.pendingCompiles.includes(finish)) finish('success'); }, web.compileDelay);
+  }],
+
+  ['POST', /^\/project\/([^/]+)\/compile\/stop$/, (req, res) => {
+    if (!requireLogin(req, res)) return;
+    web.compileStops++;
+    if (web.stopFails) {
+      res.writeHead(500);
+      res.end('clsi unavailable');
+      return;
+    }
+    for (const finish of web.pendingCompiles) finish('terminated');
+    res.writeHead(200);
+    res.end();
+  }],
+
+  ['DELETE', /^\/project\/([^/]+)\/output$/, (req, res, match, body, url) => {
+    if (!requireLogin(req, res)) return;
+    web.clearedOutputs.push(url.search);
+    res.writeHead(200);
+    res.end();
+  }],
+
+  ['GET', /^\/project\/([^/]+)\/wordcount$/, (req, res, match, body, url) => {
+    if (!requireLogin(req, res)) return;
+    const query = Object.fromEntries(url.searchParams);
+    web.lastWordCount = query;
+    const texcount = web.wordCounts[query.file || ''];
+    if (!texcount) {
+      sendJson(res, 404, { message: 'file not found' });
+      return;
+    }
+    sendJson(res, 200, { texcount });
+  }],
+
+  // SyncTeX: 50 lines of main.tex per page, 12pt apart from v=100
+  ['GET', /^\/project\/([^/]+)\/sync\/(code|pdf)$/, (req, res, match, body, url) => {
+    if (!requireLogin(req, res)) return;
+    const query = Object.fromEntries(url.searchParams);
+    web.lastSync = query;
+    if (query.clsiserverid !== 'clsi-mock-1' || query.buildId !== `mock-build-${web.builds}`) {
+      sendJson(res, 404, { message: 'build not found' });
+      return;
+    }
+    if (match[2] === 'code') {
+      const line = parseInt(query.line, 10);
+      if (query.file !== 'main.tex') {
+        sendJson(res, 200, { pdf: [] });
+        return;
+      }
+      sendJson(res, 200, {
+        pdf: [{ page: Math.floor((line - 1) / 50) + 1, h: 72, v: 100 + ((line - 1) % 50) * 12, width: 343.71, height: 9.96 }],
+      });
+    } else {
+      const line = (parseInt(query.page, 10) - 1) * 50 + Math.floor((parseFloat(query.v) - 100) / 12) + 1;
+      sendJson(res, 200, { code: [{ file: './main.tex', line, column: -1 }] });
+    }
+  }],
+
+  // Pages end at min_count updates; nextBeforeTimestamp is the end_ts of the last one when older ones remain
+  ['GET', /^\/project\/([^/]+)\/updates$/, (req, res, match, body, url) => {
+    if (!requireLogin(req, res)) return;
+    const query = Object.fromEntries(url.searchParams);
+    web.lastHistory = query;
+    const before = query.before ? parseInt(query.before, 10) : Infinity;
+    const older = web.historyUpdates.filter((u) => u.meta.end_ts < before);
+    const updates = older.slice(0, parseInt(query.min_count, 10) || 15);
+    const more = older.length > updates.length;
+    sendJson(res, 200, { updates, nextBeforeTimestamp: more ? updates[updates.length - 1].meta.end_ts : undefined });
+  }],
+
+  ['GET', /^\/project\/([^/]+)\/labels$/, (req, res) => {
+    if (!requireLogin(req, res)) return;
+    sendJson(res, 200, web.labels);
+  }],
+
+  ['POST', /^\/project\/([^/]+)\/labels$/, (req, res, match, body) => {
+    const session = requireLogin(req, res);
+    if (!session) return;
+    if (!body.comment || typeof body.version !== 'number') {
+      sendJson(res, 400, { message: 'comment and version are required' });
+      return;
+    }
+    const label = {
+      id: crypto.randomBytes(12).toString('hex'),
+      comment: body.comment,
+      version: body.version,
+      user_id: session.userId,
+      created_at: new Date().toISOString(),
+    };
+    web.labels.push(label);
+    sendJson(res, 200, label);
+  }],
+
+  ['DELETE', /^\/project\/([^/]+)\/labels\/([^/]+)$/, (req, res, match) => {
+    if (!requireLogin(req, res)) return;
+    const index = web.labels.findIndex((l) => l.id === match[2]);
+    if (index < 0) {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+    web.labels.splice(index, 1);
+    res.writeHead(204);
+    res.end();
+  }],
+
+  ['GET', /^\/project\/([^/]+)\/(?:doc\/([^/]+)\/)?diff$/, (req, res, match, body, url) => {
+    if (!requireLogin(req, res)) return;
+    const query = Object.fromEntries(url.searchParams);
+    web.lastDiff = query;
+    const diff = match[2] ? web.docDiffs[match[2]] : web.historyDiffs[query.pathname];
+    if (!diff || !query.from || !query.to) {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+    sendJson(res, 200, { diff });
+  }],
+
+  ['GET', /^\/project\/([^/]+)\/file\/([^/]+)$/, (req, res, match) => {
+    if (!requireLogin(req, res)) return;
+    const content = web.files[match[2]];
+    if (content === undefined) {
+      web.fileRequests.push(404);
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+    const etag = '"' + crypto.createHash('md5').update(content).digest('hex') + '"';
+    const status = req.headers['if-none-match'] === etag ? 304 : 200;
+    web.fileRequests.push(status);
+    res.writeHead(status, { 'ETag': etag, 'Content-Type': 'application/octet-stream' });
+    res.end(status === 200 ? content : undefined);
+  }],
+
+  // /redirect/<n>/<path>: n redirects, then <path>
+  ['GET', /^\/redirect\/(\d+)\/(.+)$/, (req, res, match) => {
+    const hops = parseInt(match[1], 10);
+    res.writeHead(302, { Location: hops > 1 ? `/redirect/${hops - 1}/${match[2]}` : `/${match[2]}` });
+    res.end();
+  }],
+
+  // Slow download: `chunks` chunks of `size` bytes, `interval` ms apart.
+  // stall=1 stops after the first chunk; length=<n> declares a different Content-Length.
+  ['GET', /^\/slow-download$/, (req, res, match, body, url) => {
+    const q = Object.fromEntries(url.searchParams);
+    const size = parseInt(q.size || '1024', 10);
+    const chunks = parseInt(q.chunks || '1', 10);
+    const interval = parseInt(q.interval || '0', 10);
+    res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': q.length || size * chunks });
+    let sent = 0;
+    const next = () => {
+      res.write(Buffer.alloc(size, 0x61 + (sent % 26)));
+      sent++;
+      if (q.stall) return;
+      if (sent < chunks) {
+        setTimeout(next, interval);
+      } else if (q.length) {
+        res.socket.destroy();
+      } else {
+        res.end();
+      }
+    };
+    next();
+  }],
+
+  ['GET', /^\/project\/([^/]+)\/download\/zip$/, (req, res) => {
+    if (!requireLogin(req, res)) return;
+    if (!web.zipEntries) {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': 'application/zip',
+      'Content-Disposition': 'attachment; filename="Test Project.zip"',
+    });
+    res.end(Buffer.isBuffer(web.zipEntries) ? web.zipEntries : buildZip(web.zipEntries));
+  }],
+
+  ['GET', /^\/project\/([^/]+)\/build\/([^/]+)\/output\/(.+)$/, (req, res, match) => {
+    if (!requireLogin(req, res)) return;
+    const file = decodeURIComponent(match[3]);
+    const content = file === 'output.log' ? web.compileLog : web.compileOutputs[file];
+    if (web.failedOutputs.includes(file)) {
+      res.writeHead(500);
+      res.end('Internal error');
+      return;
+    }
+    if (content === undefined || content === null) {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+    // Hold each response briefly so concurrent downloads overlap
+    const stats = web.outputRequests;
+    stats.total++;
+    stats.active++;
+    stats.maxActive = Math.max(stats.maxActive, stats.active);
+    setTimeout(() => {
+      stats.active--;
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+      res.end(content);
+    }, 20);
+  }],
+];
+
+function handleWebRequest(req, res, url) {
+  const routeMatch = routes
+    .filter(([method]) => method === req.method)
+    .map(([, pattern, handler]) => [url.pathname.match(pattern), handler])
+    .find(([match]) => match);
+
+  if (!routeMatch) {
+    res.writeHead(404);
+    res.end('Not found');
+    return;
+  }
+
+  const projectMatch = url.pathname.match(/^\/project\/([^/]+)\//);
+  if (projectMatch && web.forbiddenProjects.includes(projectMatch[1])) {
+    res.writeHead(403, { 'Content-Type': 'text/plain' });
+    res.end('Forbidden');
+    return;
+  }
+
+  if (url.pathname.endsWith('/upload')) {
+    const stats = web.uploadRequests;
+    stats.active++;
+    stats.maxActive = Math.max(stats.maxActive, stats.active);
+    res.on('finish', () => stats.active--);
+  }
+
+  const chunks = [];
+  req.on('data', (chunk) => {
+    chunks.push(chunk);
+    // Throttle uploads to observe progress on the client
+    if (web.uploadChunkDelay && url.pathname.endsWith('/upload')) {
+      req.pause();
+      setTimeout(() => req.resume(), web.uploadChunkDelay);
+    }
+  });
+  req.on('end', () => {
+    const raw = Buffer.concat(chunks);
+    const contentType = req.headers['content-type'] || '';
+    let body = {};
+    if (raw.length && contentType.includes('application/json')) {
+      try { body = JSON.parse(raw.toString('utf-8')); } catch (e) { /* leave empty */ }
+    } else if (contentType.startsWith('multipart/form-data')) {
+      body = parseMultipart(raw, contentType.match(/boundary=(.+)$/)[1]);
+    }
+    const [match, handler] = routeMatch;
+    handler(req, res, match, body, url);
+  });
+}
+
 // ── HTTP + WebSocket server ────────────────────────────────────────────
 const clients = new Set();
 let sessionCounter = 0;
@@ -273,15 +994,21 @@ function createServer(port) {
       const sid = 'mock_' + (++sessionCounter);
       const queryStr = url.search || '';
       const projectId = url.searchParams.get('projectId') || 'test_project';
+      if (web.requireSocketSession && !(getSession(req) || {}).userId) {
+        res.writeHead(403, { 'Content-Type': 'text/plain' });
+        res.end('handshake unauthorized');
+        return;
+      }
       sessions[sid] = { projectId };
+      web.socketCookies = { handshake: req.headers.cookie || '', upgrade: null };
       // Format: session_id:heartbeat_timeout:close_timeout:transports
-      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      // Load balancer stickiness cookie, as set by Google Cloud LB
+      res.writeHead(200, { 'Content-Type': 'text/plain', 'Set-Cookie': `GCLB=gclb_${sid}; Path=/; HttpOnly` });
       res.end(`${sid}:15:25:websocket`);
       return;
     }
 
-    res.writeHead(404);
-    res.end('Not found');
+    handleWebRequest(req, res, url);
   });
 
   const wss = new WebSocket.Server({ noServer: true });
@@ -300,6 +1027,7 @@ function createServer(port) {
       socket.destroy();
       return;
     }
+    web.socketCookies.upgrade = req.headers.cookie || '';
 
     wss.handleUpgrade(req, socket, head, (ws) => {
       const client = new MockClient(ws, session.projectId);
@@ -310,7 +1038,7 @@ function createServer(port) {
 
       // Send joinProjectResponse (v2 scheme)
       client.sendEvent('joinProjectResponse', {
-        publicId: 'mock_public_' + client.id,
+        publicId: client.publicId,
         project: {
           _id: session.projectId,
           name: 'Test Project',
@@ -351,9 +1079,15 @@ function createServer(port) {
         server,
         port,
         resetDocs,
+        resetWeb,
+        web,
         getDocs: () => docs,
         getOrCreateDoc,
         getClients: () => clients,
+        // Close every socket from the server side (e.g. a real-time server restart)
+        dropClients: () => {
+          for (const c of clients) c.ws.close();
+        },
         close: () => new Promise((r) => {
           for (const c of clients) c.ws.close();
           clients.clear();
@@ -378,6 +1112,44 @@ function broadcastEvent(name, ...args) {
   }
 }
 
+/**
+ * Send an event to every client connected to a project.
+ */
+function broadcastToProject(projectId, name, ...args) {
+  for (const client of clients) {
+    if (client.projectId === projectId) client.sendEvent(name, ...args);
+  }
+}
+
+/**
+ * Apply an update on the server side (e.g. from a collaborator in the browser):
+ * logs it for catch-up and broadcasts it to clients that joined the doc.
+ * @param {string} docId
+ * @param {Array} ops - ShareJS text ops ({ p, i } / { p, d })
+ */
+function applyServerUpdate(docId, ops) {
+  const doc = getOrCreateDoc(docId);
+  const update = { op: ops, v: doc.version, meta: { user_id: 'user_server' } };
+  doc.content = applyOps(doc.content, ops);
+  doc.lines = doc.content.split('\n');
+  doc.ops.push(update);
+  doc.version++;
+  for (const client of doc.clients) {
+    if (client.joinedDocs.has(docId)) client.sendEvent('otUpdateApplied', { doc: docId, ...update });
+  }
+  return update;
+}
+
+/**
+ * Drop a doc's op log, as when old ops have been flushed to history:
+ * joinDoc can no longer catch up from earlier versions.
+ */
+function trimOpLog(docId) {
+  const doc = getOrCreateDoc(docId);
+  doc.ops = [];
+  doc.opLogStart = doc.version;
+}
+
 /**
  * Simulate a history restore: removes old doc and creates a new one.
  *
@@ -434,4 +1206,13 @@ if (require.main === module) {
   });
 }
 
-module.exports = { createServer, getOrCreateDoc, resetDocs, broadcastEvent, simulateRestore };
+module.exports = {
+  createServer,
+  getOrCreateDoc,
+  resetDocs,
+  resetWeb,
+  broadcastEvent,
+  applyServerUpdate,
+  trimOpLog,
+  simulateRestore,
+};